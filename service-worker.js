@@ -3,7 +3,7 @@
    Cache First, Network Fallback Strategy
    ======================================== */
 
-const CACHE_NAME = 'domino-cache-v6';
+const CACHE_NAME = 'domino-cache-v16';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -18,7 +18,17 @@ const ASSETS_TO_CACHE = [
   './src/js/ui.js',
   './src/js/ai.js',
   './src/js/audio.js',
-  './src/js/confetti.js'
+  './src/js/confetti.js',
+  './src/js/random.js',
+  './src/js/storage.js',
+  './src/js/record.js',
+  './src/js/replay.js',
+  './src/js/montecarlo.js',
+  './src/js/inference.js',
+  './src/js/ai-client.js',
+  './src/js/ai-worker.js',
+  './src/js/adaptive.js',
+  './src/js/analysis.js'
 ];
 
 // Instalación del Service Worker
@@ -0,0 +1,246 @@
+/**
+ * Dificultad adaptativa
+ * Lleva un rating tipo Elo del jugador a partir de sus resultados y, tras
+ * cada mano, elige la fuerza de la IA contra la que su probabilidad de ganar
+ * queda cerca del objetivo. La fuerza (de 0 a 1) se traduce en azar de la
+ * heurística del nivel medio (fuerza baja) o en presupuesto de búsqueda del
+ * nivel experto (fuerza alta).
+ * @module Adaptive
+ */
+
+/**
+ * Porcentaje de victorias del jugador que se busca por defecto
+ * @type {number}
+ */
+export const TARGET_WIN_RATE = 0.5;
+
+/**
+ * Rating de un jugador nuevo
+ * @type {number}
+ */
+export const INITIAL_RATING = 1000;
+
+/**
+ * Rating aproximado de cada nivel fijo, a partir de las partidas entre
+ * niveles de tools/simulate.mjs que recoge el README (Simulación IA contra IA).
+ * El difícil juega distinto que el medio pero no gana más: tiene su rating.
+ * @type {Object<string, number>}
+ */
+export const LEVEL_RATINGS = Object.freeze({
+  easy: 900,
+  medium: 1000,
+  hard: 1000,
+  expert: 1075,
+});
+
+/**
+ * Cuánto se mueve el rating en cada mano
+ * @type {number}
+ */
+const RATING_K = 24;
+
+/**
+ * Manos que se guardan en el historial
+ * @type {number}
+ */
+const MAX_HISTORY = 100;
+
+/**
+ * Rating de la IA adaptativa con fuerza 0 y con fuerza 1
+ * @type {{min: number, max: number}}
+ */
+const AI_RATING_RANGE = { min: 900, max: 1100 };
+
+/**
+ * Azar máximo de la heurística (fuerza 0: juega casi como el nivel fácil)
+ * @type {number}
+ */
+const MAX_NOISE = 250;
+
+/**
+ * Presupuesto de búsqueda del nivel experto con fuerza 0.5 y con fuerza 1
+ * @type {{timeBudgetMs: number[], maxSamples: number[]}}
+ */
+const SEARCH_RANGE = { timeBudgetMs: [50, 800], maxSamples: [20, 2000] };
+
+/**
+ * Rating del jugador y su historial
+ * @typedef {Object} RatingState
+ * @property {boolean} adaptive - Si la dificultad adaptativa está elegida
+ * @property {number} rating - Rating del jugador
+ * @property {number} strength - Fuerza de la IA adaptativa para la próxima mano (0-1)
+ * @property {number} hands - Manos contadas
+ * @property {string[]} countedHands - Identificadores de todas las manos contadas
+ *   (el historial se recorta; esta lista no, para no contar dos veces una mano
+ *   antigua que se reanude o se importe)
+ * @property {Array<{date: string, rating: number, aiRating: number, score: number, hand: string}>} history -
+ *   Rating tras cada mano, rating de la IA a la que se enfrentó, resultado (1, 0.5 o 0)
+ *   e identificador de la mano
+ */
+
+/**
+ * Limita un valor a un intervalo
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number} Valor limitado
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Interpola entre los extremos de un intervalo
+ * @param {number[]} range - [mínimo, máximo]
+ * @param {number} t - Posición entre 0 y 1
+ * @returns {number} Valor redondeado
+ */
+function lerp([min, max], t) {
+  return Math.round(min + (max - min) * t);
+}
+
+/**
+ * Probabilidad esperada de ganar según la diferencia de rating (Elo)
+ * @param {number} rating - Rating propio
+ * @param {number} opponentRating - Rating del rival
+ * @returns {number} Resultado esperado entre 0 y 1
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Rating de la IA adaptativa con una fuerza
+ * @param {number} strength - Fuerza entre 0 y 1
+ * @returns {number} Rating
+ */
+export function getAIRatingForStrength(strength) {
+  return lerp([AI_RATING_RANGE.min, AI_RATING_RANGE.max], clamp(strength, 0, 1));
+}
+
+/**
+ * Fuerza de la IA con la que el jugador gana con la probabilidad objetivo
+ * @param {number} rating - Rating del jugador
+ * @param {number} target - Probabilidad de victoria buscada
+ * @returns {number} Fuerza entre 0 y 1
+ */
+function getStrengthForRating(rating, target) {
+  const aiRating = rating + 400 * Math.log10(1 / target - 1);
+  return clamp(
+    (aiRating - AI_RATING_RANGE.min) / (AI_RATING_RANGE.max - AI_RATING_RANGE.min),
+    0,
+    1
+  );
+}
+
+/**
+ * Crea el rating de un jugador nuevo
+ * @returns {RatingState} Rating inicial
+ */
+export function createRatingState() {
+  return {
+    adaptive: false,
+    rating: INITIAL_RATING,
+    strength: getStrengthForRating(INITIAL_RATING, TARGET_WIN_RATE),
+    hands: 0,
+    countedHands: [],
+    history: [],
+  };
+}
+
+/**
+ * Valida un rating guardado
+ * @param {Object} data - Datos leídos de localStorage
+ * @returns {RatingState} Rating válido (el inicial si los datos no lo son)
+ */
+export function normalizeRatingState(data) {
+  const initial = createRatingState();
+  if (!data || !Number.isFinite(data.rating) || !Number.isFinite(data.strength)) {
+    return initial;
+  }
+
+  const history = Array.isArray(data.history)
+    ? data.history.filter((entry) => Number.isFinite(entry?.rating)).slice(-MAX_HISTORY)
+    : [];
+  // Los ratings guardados antes de la lista solo tienen las manos del historial
+  const counted = Array.isArray(data.countedHands)
+    ? data.countedHands
+    : history.map((entry) => entry.hand);
+
+  return {
+    adaptive: data.adaptive === true,
+    rating: data.rating,
+    strength: clamp(data.strength, 0, 1),
+    hands: Number.isInteger(data.hands) ? data.hands : 0,
+    countedHands: [...new Set(counted.filter((hand) => typeof hand === "string"))],
+    history,
+  };
+}
+
+/**
+ * Anota el resultado de una mano y recalcula la fuerza de la IA
+ * Cada mano cuenta una sola vez: si se deshace su final y se vuelve a
+ * terminar, o se reanuda o importa una mano ya contada, el resultado
+ * repetido se ignora.
+ * @param {RatingState} state - Rating actual
+ * @param {Object} result - Mano terminada
+ * @param {number} result.score - 1 si ganó el jugador, 0.5 empate, 0 si perdió
+ * @param {number} result.aiRating - Rating de la IA contra la que jugó
+ * @param {string} result.hand - Identificador de la mano (semilla y mano del encuentro)
+ * @param {number} result.target - Probabilidad de victoria buscada
+ * @param {string} result.date - Fecha ISO (por defecto, ahora)
+ * @returns {RatingState} Nuevo rating (no modifica el anterior), o el mismo
+ *   si la mano ya estaba contada
+ */
+export function recordHandResult(
+  state,
+  { score, aiRating, hand, target = TARGET_WIN_RATE, date = new Date().toISOString() }
+) {
+  if (hand !== undefined && state.countedHands.includes(hand)) {
+    return state;
+  }
+
+  const expected = expectedScore(state.rating, aiRating);
+  const rating = Math.round(state.rating + RATING_K * (score - expected));
+
+  return {
+    ...state,
+    rating,
+    strength: getStrengthForRating(rating, target),
+    hands: state.hands + 1,
+    countedHands: hand === undefined ? state.countedHands : [...state.countedHands, hand],
+    history: [...state.history, { date, rating, aiRating, score, hand }].slice(-MAX_HISTORY),
+  };
+}
+
+/**
+ * Configuración de la IA para una fuerza
+ * Por debajo de 0.5, nivel medio con más azar cuanto más baja; desde 0.5,
+ * nivel experto con más tiempo y repartos cuanto más alta.
+ * @param {number} strength - Fuerza entre 0 y 1
+ * @returns {{level: string, noise: number, timeBudgetMs: number|undefined,
+ *   maxSamples: number|undefined, aiRating: number}} Configuración
+ */
+export function getAdaptiveSettings(strength) {
+  const s = clamp(strength, 0, 1);
+  const aiRating = getAIRatingForStrength(s);
+
+  if (s < 0.5) {
+    return {
+      level: "medium",
+      noise: Math.round(MAX_NOISE * (1 - s / 0.5)),
+      timeBudgetMs: undefined,
+      maxSamples: undefined,
+      aiRating,
+    };
+  }
+
+  const t = (s - 0.5) / 0.5;
+  return {
+    level: "expert",
+    noise: 0,
+    timeBudgetMs: lerp(SEARCH_RANGE.timeBudgetMs, t),
+    maxSamples: lerp(SEARCH_RANGE.maxSamples, t),
+    aiRating,
+  };
+}
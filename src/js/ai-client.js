@@ -0,0 +1,235 @@
+/**
+ * Decisiones de la IA en un Web Worker
+ * requestMove manda al worker una petición de getAIRequest y devuelve una
+ * promesa con la jugada, así las búsquedas largas no congelan la página.
+ * requestEvaluation hace lo mismo con la valoración Monte Carlo de todas las
+ * jugadas posibles (revisión de manos).
+ * Sin soporte de workers (Node, navegadores antiguos) la jugada se calcula
+ * en el mismo hilo, con la misma semilla y el mismo resultado.
+ * @module AIClient
+ */
+
+import { createAIPlayer } from "./ai.js";
+import { evaluateMonteCarloMoves } from "./montecarlo.js";
+import { createRandom } from "./random.js";
+
+/**
+ * Worker en uso (se crea con la primera petición) o null
+ * @type {Worker|null}
+ */
+let worker = null;
+
+/**
+ * Peticiones sin respuesta: id -> {resolve, reject, timer}
+ * @type {Map<number, Object>}
+ */
+const pending = new Map();
+
+/**
+ * Identificador de la siguiente petición
+ * @type {number}
+ */
+let nextRequestId = 1;
+
+/**
+ * Destino de los mensajes del cliente
+ * @type {import('./game.js').GameLogger}
+ */
+let logger = console;
+
+/**
+ * Cambia el destino de los mensajes del cliente, como la opción logger de
+ * createGame
+ * @param {import('./game.js').GameLogger} next - Logger (SILENT_LOGGER para callarlos)
+ */
+export function setAILogger(next) {
+  logger = next;
+}
+
+/**
+ * Crea el error con el que se rechazan las peticiones canceladas
+ * @returns {Error} Error con name "AbortError"
+ */
+function createAbortError() {
+  return Object.assign(new Error("Petición a la IA cancelada"), {
+    name: "AbortError",
+  });
+}
+
+/**
+ * Rechaza todas las peticiones pendientes
+ * @param {Error} error - Motivo
+ */
+function rejectPending(error) {
+  pending.forEach(({ reject, timer }) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  pending.clear();
+}
+
+/**
+ * Obtiene el worker, creándolo si hace falta
+ * @returns {Worker|null} Worker o null si el entorno no los admite
+ */
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === "undefined") return null;
+
+  try {
+    worker = new Worker(new URL("./ai-worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (e) {
+    logger.warn("⚠️ IA sin Web Worker, se calcula en la página:", e.message);
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    pending.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+
+  worker.onerror = (event) => {
+    logger.warn("⚠️ Error en el worker de la IA:", event.message);
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    rejectPending(new Error(`Error en el worker de la IA: ${event.message}`));
+  };
+
+  return worker;
+}
+
+/**
+ * Pide al worker la jugada de un asiento de IA
+ * @param {import('./game.js').AIRequest} request - Petición de getAIRequest
+ * @param {Object} options - Opciones de la búsqueda
+ * @param {number} options.timeMs - Presupuesto de tiempo de la búsqueda (nivel experto)
+ * @returns {Promise<{tile: Object, side: string}|null>} Jugada, o null si el
+ *   asiento no puede jugar (debe robar o pasar). Se rechaza con un error
+ *   "AbortError" si se cancela con cancelMoveRequests.
+ */
+export function requestMove(request, { timeMs } = {}) {
+  if (!request) return Promise.resolve(null);
+
+  if (request.forcedTileId) {
+    const tile = request.hand.find((t) => t.id === request.forcedTileId);
+    return Promise.resolve(tile ? { tile, side: null } : null);
+  }
+
+  return postRequest(
+    {
+      type: "move",
+      ai: request.ai,
+      board: request.board,
+      hand: request.hand,
+      context: {
+        ...request.context,
+        timeBudgetMs: timeMs ?? request.context.timeBudgetMs,
+      },
+    },
+    ({ ai, board, hand, context }) =>
+      createAIPlayer({ ...ai, random: createRandom(context.seed) }).selectBestMove(
+        board,
+        hand,
+        context
+      )
+  );
+}
+
+/**
+ * Pide al worker la valoración Monte Carlo de las jugadas posibles
+ * @param {import('./game.js').AIRequest} request - Petición de getAIRequest
+ * @param {Array} playable - Candidatas: [{tile, sides}]
+ * @param {Object} options - Presupuesto de la búsqueda
+ * @param {number} options.timeMs - Tope de tiempo (ms)
+ * @param {number} options.maxSamples - Repartos máximos
+ * @returns {Promise<{moves: Array, samples: number}>} Resultado de
+ *   evaluateMonteCarloMoves. Se rechaza con un error "AbortError" si se
+ *   cancela con cancelMoveRequests.
+ */
+export function requestEvaluation(request, playable, { timeMs, maxSamples } = {}) {
+  return postRequest(
+    {
+      type: "evaluate",
+      board: request.board,
+      hand: request.hand,
+      playable,
+      context: {
+        ...request.context,
+        timeBudgetMs: timeMs ?? request.context.timeBudgetMs,
+        maxSamples: maxSamples ?? request.context.maxSamples,
+      },
+    },
+    ({ board, hand, context }) =>
+      evaluateMonteCarloMoves(board, hand, playable, {
+        ...context,
+        random: createRandom(context.seed),
+      })
+  );
+}
+
+/**
+ * Manda un mensaje al worker y espera su resultado (uso interno)
+ * @param {Object} message - Mensaje para ai-worker.js (sin id)
+ * @param {Function} computeLocally - Cálculo equivalente sin worker
+ * @returns {Promise<*>} Resultado del worker
+ */
+function postRequest(message, computeLocally) {
+  const id = nextRequestId++;
+
+  return new Promise((resolve, reject) => {
+    const target = getWorker();
+    if (target) {
+      pending.set(id, { resolve, reject, timer: null });
+      target.postMessage({ ...message, id });
+      return;
+    }
+
+    // Sin worker: en el mismo hilo, pero después de devolver el control
+    // para que la cancelación pueda llegar antes
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      try {
+        resolve(computeLocally(message));
+      } catch (e) {
+        reject(e);
+      }
+    }, 0);
+    pending.set(id, { resolve, reject, timer });
+  });
+}
+
+/**
+ * Cancela las peticiones en curso (partida nueva, deshacer...), también las
+ * valoraciones de una revisión
+ * Termina el worker para cortar la búsqueda; la siguiente petición crea otro.
+ * @returns {boolean} True si había alguna petición pendiente
+ */
+export function cancelMoveRequests() {
+  if (pending.size === 0) return false;
+
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  rejectPending(createAbortError());
+  logger.log("🛑 Cálculo de la IA cancelado");
+  return true;
+}
+
+/**
+ * Indica si la IA está calculando alguna jugada
+ * @returns {boolean} True con peticiones pendientes
+ */
+export function isThinking() {
+  return pending.size > 0;
+}
@@ -0,0 +1,26 @@
+/**
+ * Web Worker de la IA
+ * Calcula la jugada de una petición de getAIRequest, o la valoración de
+ * todas las jugadas posibles para revisar una mano, fuera del hilo de la
+ * página. Se carga como worker de módulo desde ai-client.js.
+ * @module AIWorker
+ */
+
+import { createAIPlayer } from "./ai.js";
+import { evaluateMonteCarloMoves } from "./montecarlo.js";
+import { createRandom } from "./random.js";
+
+self.onmessage = ({ data }) => {
+  const { id, type, ai, board, hand, playable, context } = data;
+
+  try {
+    const random = createRandom(context.seed);
+    const result =
+      type === "evaluate"
+        ? evaluateMonteCarloMoves(board, hand, playable, { ...context, random })
+        : createAIPlayer({ ...ai, random }).selectBestMove(board, hand, context);
+    self.postMessage({ id, result });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
@@ -1,72 +1,263 @@
 /**
  * Sistema de IA para el juego de dominó
- * Implementa 3 niveles de dificultad: Fácil, Medio, Difícil
+ * Implementa 4 niveles de dificultad: Fácil, Medio, Difícil y Experto.
+ * Cada jugador de IA se crea con createAIPlayer y tiene su propio nivel,
+ * pesos de la heurística y generador aleatorio. Las personalidades son
+ * juegos de pesos con nombre (predefinidos o cargados de un perfil JSON).
  * @module AI
  */
 
-import { getPlayableTiles } from './board.js';
+import {
+    getPlayableTiles,
+    getAvailableSides,
+    getEndValue,
+    simulatePlacement,
+    getOpenEndsSum,
+    isTrainBoard
+} from './board.js';
+import { DEFAULT_MAX_PIP } from './tiles.js';
+import { createRandom, generateSeed } from './random.js';
+import { selectMonteCarloMove } from './montecarlo.js';
+import { getValueProbability } from './inference.js';
 
 /**
- * Nivel de dificultad de la IA
- * @type {string} - 'easy', 'medium', 'hard'
+ * Niveles de dificultad disponibles
+ * @type {string[]}
  */
-let currentDifficulty = 'medium';
+export const AI_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
 
 /**
- * Establece el nivel de dificultad de la IA
- * @param {string} difficulty - 'easy', 'medium', 'hard'
+ * Pesos por defecto de la heurística de evaluación de jugadas
+ * @type {Object<string, number>}
  */
-export function setAIDifficulty(difficulty) {
-    if (['easy', 'medium', 'hard'].includes(difficulty)) {
-        currentDifficulty = difficulty;
-        console.log(`🤖 IA configurada en modo: ${difficulty}`);
+export const DEFAULT_WEIGHTS = Object.freeze({
+    double: 25,         // Jugar una ficha doble
+    pipValue: 20,       // Puntos de la ficha (máximo, con el doble más alto)
+    flexibility: 5,     // Por ficha que queda con el valor que se deja abierto
+    uniqueNumber: -10,  // Dejar abierto un número del que solo queda una ficha
+    futurePlays: 5,     // Por ficha jugable después de la jugada
+    fivesPoints: 4,     // Por punto anotado con la regla de los cincos
+    ownTrain: 15,       // Volver a cerrar el propio tren marcado
+    block: 10           // Dejar un valor que el siguiente rival no tiene
+});
+
+/**
+ * Personalidad de la IA: un juego de pesos con nombre
+ * @typedef {Object} AIPersonality
+ * @property {string} id - Identificador ('custom' para los perfiles cargados de JSON)
+ * @property {string} name - Nombre que ve el jugador
+ * @property {string} description - Cómo juega
+ * @property {Object<string, number>} weights - Pesos que cambian respecto a DEFAULT_WEIGHTS
+ */
+
+/**
+ * Personalidades predefinidas
+ * Cambian el estilo de los niveles medio y difícil; el fácil juega al azar
+ * y el experto decide por simulación.
+ * @type {Object<string, AIPersonality>}
+ */
+export const AI_PERSONALITIES = Object.freeze({
+    balanced: {
+        id: 'balanced',
+        name: 'Equilibrado',
+        description: 'Los pesos por defecto',
+        weights: {}
+    },
+    blocker: {
+        id: 'blocker',
+        name: 'Bloqueador',
+        description: 'Deja abiertos los números que le faltan al rival aunque cargue con puntos',
+        weights: { block: 40, uniqueNumber: -4, pipValue: 10 }
+    },
+    dumper: {
+        id: 'dumper',
+        name: 'Descargador',
+        description: 'Se deshace cuanto antes de las fichas altas y los dobles',
+        weights: { pipValue: 45, double: 35, flexibility: 2, futurePlays: 2 }
+    },
+    conservative: {
+        id: 'conservative',
+        name: 'Conservador',
+        description: 'Guarda opciones: juega lo que le deja más jugadas después',
+        weights: { flexibility: 12, futurePlays: 12, uniqueNumber: -25, pipValue: 8, double: 10 }
+    }
+});
+
+/**
+ * Lee un perfil de pesos en JSON
+ * Formato: { "name": "Mi IA", "description": "...", "weights": { "block": 30 } }.
+ * Los pesos que no aparecen se quedan con su valor por defecto.
+ * @param {string|Object} source - Texto JSON o el objeto ya leído
+ * @returns {AIPersonality} Personalidad con id 'custom'
+ * @throws {Error} Si el JSON, el nombre o algún peso no son válidos
+ */
+export function parseAIPersonality(source) {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+
+    if (!data || typeof data !== 'object' || !data.weights || typeof data.weights !== 'object') {
+        throw new Error('El perfil de IA necesita un objeto "weights"');
     }
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        throw new Error('El perfil de IA necesita un nombre');
+    }
+
+    // Misma validación de pesos que un jugador
+    const weights = { ...data.weights };
+    createAIPlayer({ weights });
+
+    return {
+        id: 'custom',
+        name,
+        description: typeof data.description === 'string' ? data.description : 'Perfil personalizado',
+        weights
+    };
 }
 
 /**
- * Obtiene el nivel actual de dificultad
- * @returns {string} Nivel actual
+ * Descripción de cada nivel
+ * @type {Object<string, string>}
  */
-export function getAIDifficulty() {
-    return currentDifficulty;
+const LEVEL_DESCRIPTIONS = {
+    easy: 'Juega aleatoriamente sin estrategia',
+    medium: 'Usa heurísticas para evaluar jugadas',
+    hard: 'Algoritmo minimax con planificación futura',
+    expert: 'Simula repartos plausibles de las fichas ocultas (Monte Carlo)'
+};
+
+/**
+ * Jugador de IA con nivel, pesos y generador propios
+ * @typedef {Object} AIPlayer
+ * @property {string} level - Nivel: 'easy', 'medium', 'hard' o 'expert'
+ * @property {Object<string, number>} weights - Pesos de la heurística (DEFAULT_WEIGHTS completados)
+ * @property {number} noise - Azar sumado a la puntuación de cada jugada (0: ninguno)
+ * @property {Object} random - Generador propio (desempates y azar)
+ * @property {function(Object, Array, Object=): Object|null} selectBestMove - Elige jugada
+ * @property {function(): {level: string, description: string}} getInfo - Resumen de su estrategia
+ */
+
+/**
+ * Crea un jugador de IA
+ * Cada asiento puede tener el suyo: niveles y pesos distintos en la misma partida.
+ * @param {Object} options - Configuración del jugador
+ * @param {string} options.level - Nivel de dificultad (por defecto 'medium')
+ * @param {Object<string, number>} options.weights - Pesos que cambian respecto a DEFAULT_WEIGHTS
+ * @param {number} options.noise - Azar de la heurística de los niveles medio y difícil:
+ *   cada jugada suma a su puntuación un valor al azar entre 0 y noise (por defecto 0)
+ * @param {Object} options.random - Generador propio (por defecto, con semilla aleatoria)
+ * @returns {AIPlayer} Jugador de IA
+ * @throws {Error} Si el nivel, algún peso o el azar no son válidos
+ */
+export function createAIPlayer({
+    level = 'medium',
+    weights = {},
+    noise = 0,
+    random = createRandom(generateSeed())
+} = {}) {
+    if (!AI_DIFFICULTIES.includes(level)) {
+        throw new Error(`Nivel de IA desconocido: ${level}`);
+    }
+    Object.entries(weights).forEach(([name, value]) => {
+        if (!(name in DEFAULT_WEIGHTS)) {
+            throw new Error(`Peso de IA desconocido: ${name}`);
+        }
+        if (!Number.isFinite(value)) {
+            throw new Error(`Peso de IA no numérico: ${name}`);
+        }
+    });
+
+    if (!Number.isFinite(noise) || noise < 0) {
+        throw new Error(`Azar de IA no válido: ${noise}`);
+    }
+
+    const playerWeights = Object.freeze({ ...DEFAULT_WEIGHTS, ...weights });
+
+    return {
+        level,
+        weights: playerWeights,
+        noise,
+        random,
+
+        /**
+         * Selecciona la mejor jugada según el nivel del jugador
+         * @param {Object} board - Estado del tablero
+         * @param {Array} hand - Mano de la IA
+         * @param {Object} context - Reglas de la partida
+         * @param {number} context.maxPip - Valor máximo del juego de fichas
+         * @param {string} context.scoring - Sistema de puntuación ('standard' o 'all-fives')
+         * @param {string} context.seat - Asiento de la IA (decide sus trenes en el tren mexicano)
+         * @param {Object} context.random - Generador de la partida; si no se indica, el del jugador
+         * @param {string[]} context.seats - Asientos en orden de turno
+         * @param {Object<string, string>} context.teams - Equipo de cada asiento
+         * @param {Object<string, number>} context.handSizes - Fichas en mano de cada asiento (nivel experto)
+         * @param {number} context.stockCount - Fichas en el pozo
+         * @param {string} context.drawRule - Regla de robo (nivel experto)
+         * @param {Array} context.history - Jugadas de la mano (nivel experto)
+         * @param {Object} context.inference - Deducciones sobre las manos ajenas (inferHands)
+         * @param {number} context.timeBudgetMs - Presupuesto de tiempo por decisión (nivel experto)
+         * @param {number} context.maxSamples - Repartos máximos por decisión (nivel experto)
+         * @returns {Object|null} Jugada seleccionada o null
+         */
+        selectBestMove(board, hand, context = {}) {
+            return selectMove(board, hand, {
+                maxPip: DEFAULT_MAX_PIP,
+                scoring: 'standard',
+                seat: null,
+                ...context,
+                random: context.random ?? random,
+                level,
+                weights: playerWeights,
+                noise
+            });
+        },
+
+        /**
+         * Obtiene un resumen de la estrategia del jugador
+         * @returns {{level: string, description: string}} Información sobre la IA
+         */
+        getInfo() {
+            return { level, description: LEVEL_DESCRIPTIONS[level] };
+        }
+    };
 }
 
 /**
- * Selecciona la mejor jugada según el nivel de dificultad
+ * Selecciona la mejor jugada según el nivel (uso interno)
  * @param {Object} board - Estado del tablero
  * @param {Array} hand - Mano de la IA
+ * @param {Object} rules - Reglas de la partida con nivel, pesos y generador
  * @returns {Object|null} Jugada seleccionada o null
  */
-export function selectBestMove(board, hand) {
-    const playableTiles = getPlayableTiles(board, hand);
+function selectMove(board, hand, rules) {
+    const playableTiles = getPlayableTiles(board, hand, rules.seat);
 
     if (playableTiles.length === 0) {
         return null;
     }
 
-    switch (currentDifficulty) {
+    switch (rules.level) {
         case 'easy':
-            return selectEasyMove(playableTiles);
-        case 'medium':
-            return selectMediumMove(board, hand, playableTiles);
+            return selectEasyMove(playableTiles, rules);
         case 'hard':
-            return selectHardMove(board, hand, playableTiles);
+            return selectHardMove(board, hand, playableTiles, rules);
+        case 'expert':
+            return selectExpertMove(board, hand, playableTiles, rules);
         default:
-            return selectMediumMove(board, hand, playableTiles);
+            return selectMediumMove(board, hand, playableTiles, rules);
     }
 }
 
 /**
  * NIVEL FÁCIL: Selección completamente aleatoria
  * @param {Array} playableTiles - Fichas jugables
+ * @param {Object} rules - Reglas de la partida (aporta el generador aleatorio)
  * @returns {Object} Jugada seleccionada
  */
-function selectEasyMove(playableTiles) {
-    const randomIndex = Math.floor(Math.random() * playableTiles.length);
-    const selected = playableTiles[randomIndex];
+function selectEasyMove(playableTiles, rules) {
+    const selected = rules.random.pick(playableTiles);
 
     // Seleccionar lado aleatorio si hay múltiples opciones
-    const randomSide = selected.sides[Math.floor(Math.random() * selected.sides.length)];
+    const randomSide = rules.random.pick(selected.sides);
 
     return {
         tile: selected.tile,
@@ -79,24 +270,47 @@ function selectEasyMove(playableTiles) {
  * @param {Object} board - Estado del tablero
  * @param {Array} hand - Mano de la IA
  * @param {Array} playableTiles - Fichas jugables
+ * @param {Object} rules - Reglas de la partida
  * @returns {Object} Mejor jugada según heurística
  */
-function selectMediumMove(board, hand, playableTiles) {
-    let bestMove = null;
+function selectMediumMove(board, hand, playableTiles, rules) {
+    const bestMove = pickBestMove(
+        playableTiles,
+        (tile, side) => evaluateMoveHeuristic(board, hand, tile, side, rules),
+        rules
+    );
+
+    return bestMove || selectEasyMove(playableTiles, rules);
+}
+
+/**
+ * Elige la jugada de mayor puntuación; los empates se deciden con el
+ * generador de la partida para que la misma semilla repita la decisión.
+ * Con rules.noise cada puntuación suma un valor al azar entre 0 y noise.
+ * @param {Array} playableTiles - Fichas jugables
+ * @param {function(Object, string): number} evaluate - Puntuación de cada jugada
+ * @param {Object} rules - Reglas de la partida
+ * @returns {Object|null} Mejor jugada {tile, side}
+ */
+function pickBestMove(playableTiles, evaluate, rules) {
+    let bestMoves = [];
     let bestScore = -Infinity;
 
     playableTiles.forEach(({ tile, sides }) => {
         sides.forEach(side => {
-            const score = evaluateMoveHeuristic(board, hand, tile, side);
+            const score = evaluate(tile, side) + (rules.noise ? rules.random.next() * rules.noise : 0);
 
             if (score > bestScore) {
                 bestScore = score;
-                bestMove = { tile, side };
+                bestMoves = [{ tile, side }];
+            } else if (score === bestScore) {
+                bestMoves.push({ tile, side });
             }
         });
     });
 
-    return bestMove || selectEasyMove(playableTiles);
+    if (bestMoves.length === 0) return null;
+    return bestMoves.length === 1 ? bestMoves[0] : rules.random.pick(bestMoves);
 }
 
 /**
@@ -105,43 +319,119 @@ function selectMediumMove(board, hand, playableTiles) {
  * @param {Array} hand - Mano de la IA
  * @param {Object} tile - Ficha a evaluar
  * @param {string} side - Lado donde colocar
+ * @param {Object} rules - Reglas de la partida
  * @returns {number} Puntuación heurística
  */
-function evaluateMoveHeuristic(board, hand, tile, side) {
-    let score = 0;
+function evaluateMoveHeuristic(board, hand, tile, side, rules) {
+    const { terms } = getHeuristicTerms(board, hand, tile, side, rules);
+    return Object.values(terms).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Desglosa la heurística de una jugada en lo que aporta cada peso
+ * También devuelve los datos que la explican (las pistas los usan).
+ * @param {Object} board - Estado del tablero
+ * @param {Array} hand - Mano de la IA
+ * @param {Object} tile - Ficha a evaluar
+ * @param {string} side - Lado donde colocar
+ * @param {Object} rules - Reglas de la partida
+ * @returns {{terms: Object<string, number>, facts: Object}} Aportación de cada
+ *   peso (claves de DEFAULT_WEIGHTS) y datos de la jugada
+ */
+function getHeuristicTerms(board, hand, tile, side, rules) {
+    const weights = rules.weights ?? DEFAULT_WEIGHTS;
+    const terms = {
+        double: 0,
+        pipValue: 0,
+        flexibility: 0,
+        uniqueNumber: 0,
+        futurePlays: 0,
+        fivesPoints: 0,
+        ownTrain: 0,
+        block: 0
+    };
 
     // 1. Priorizar fichas dobles (+25 puntos)
     if (tile.a === tile.b) {
-        score += 25;
+        terms.double = weights.double;
     }
 
     // 2. Preferir fichas de alto valor para deshacerse de puntos (+20 max)
     const tileValue = tile.a + tile.b;
-    score += (tileValue / 12) * 20; // Normalizado (12 es el máximo)
+    terms.pipValue = (tileValue / (rules.maxPip * 2)) * weights.pipValue; // Normalizado al doble más alto
 
-    // 3. Mantener flexibilidad: contar cuántas fichas quedan con ese número (+15 max)
-    const endValue = side === 'left' ? board.leftValue : board.rightValue;
+    // 3. Mantener flexibilidad: contar cuántas fichas quedan con ese número (+5 por ficha)
+    const endValue = getEndValue(board, side);
     const matchingValue = tile.a === endValue ? tile.b : tile.a;
 
     const flexibilityCount = hand.filter(t =>
         t.id !== tile.id && (t.a === matchingValue || t.b === matchingValue)
     ).length;
-    score += flexibilityCount * 5;
+    terms.flexibility = flexibilityCount * weights.flexibility;
 
     // 4. Evitar dejar números únicos (-10 si solo queda una ficha con ese número)
     const uniqueCount = hand.filter(t =>
         t.a === matchingValue || t.b === matchingValue
     ).length;
     if (uniqueCount === 1) {
-        score -= 10;
+        terms.uniqueNumber = weights.uniqueNumber;
     }
 
     // 5. Bonus por jugadas futuras (+5 por cada ficha jugable después)
     const remainingHand = hand.filter(t => t.id !== tile.id);
-    const futurePlayable = countPlayableTilesAfterMove(board, remainingHand, tile, side);
-    score += futurePlayable * 5;
+    const futurePlayable = countPlayableTilesAfterMove(board, remainingHand, tile, side, rules);
+    terms.futurePlays = futurePlayable * weights.futurePlays;
 
-    return score;
+    // 6. Regla de los cincos: perseguir los puntos inmediatos (+4 por punto anotado)
+    const points = rules.scoring === 'all-fives' ? calculateMovePoints(board, tile, side) : 0;
+    terms.fivesPoints = points * weights.fivesPoints;
+
+    // 7. Tren mexicano: jugar en el propio tren marcado lo vuelve a cerrar (+15)
+    if (isTrainBoard(board) && side === rules.seat && board.trains[side].marked) {
+        terms.ownTrain = weights.ownTrain;
+    }
+
+    // 8. Bloqueo: dejar un valor que el siguiente rival probablemente no tiene (+10 max)
+    const nextOpponent = getNextOpponent(rules);
+    let opponentHasValue = null;
+    if (rules.inference && nextOpponent && !isTrainBoard(board)) {
+        opponentHasValue = getValueProbability(rules.inference, nextOpponent, matchingValue);
+        terms.block = (1 - opponentHasValue) * weights.block;
+    }
+
+    return {
+        terms,
+        facts: { matchingValue, flexibilityCount, futurePlayable, points, nextOpponent, opponentHasValue }
+    };
+}
+
+/**
+ * Obtiene el asiento que juega después de la IA si es rival
+ * @param {Object} rules - Reglas de la partida (asientos y equipos)
+ * @returns {string|null} Siguiente asiento rival o null (compañero o sin contexto)
+ */
+function getNextOpponent(rules) {
+    if (!rules.seats || !rules.teams) return null;
+
+    const index = rules.seats.indexOf(rules.seat);
+    const next = rules.seats[(index + 1) % rules.seats.length];
+    return rules.teams[next] !== rules.teams[rules.seat] ? next : null;
+}
+
+/**
+ * Calcula los puntos que anota una jugada con la regla de los cincos
+ * @param {Object} board - Estado del tablero
+ * @param {Object} tile - Ficha jugada
+ * @param {string} side - Lado donde se juega
+ * @returns {number} Puntos anotados (múltiplo de 5) o 0
+ */
+function calculateMovePoints(board, tile, side) {
+    const newBoard = simulatePlacement(board, tile, side);
+    if (!newBoard) return 0;
+
+    const sum = getOpenEndsSum(newBoard);
+
+    return sum > 0 && sum % 5 === 0 ? sum : 0;
 }
 
 /**
@@ -150,21 +440,16 @@ function evaluateMoveHeuristic(board, hand, tile, side) {
  * @param {Array} hand - Mano restante
  * @param {Object} tile - Ficha jugada
  * @param {string} side - Lado donde se jugó
+ * @param {Object} rules - Reglas de la partida
  * @returns {number} Cantidad de fichas jugables
  */
-function countPlayableTilesAfterMove(board, hand, tile, side) {
+function countPlayableTilesAfterMove(board, hand, tile, side, rules) {
     // Simular el tablero después de la jugada
-    const newLeftValue = side === 'left' ?
-        (tile.a === board.leftValue ? tile.b : tile.a) :
-        board.leftValue;
-
-    const newRightValue = side === 'right' ?
-        (tile.a === board.rightValue ? tile.b : tile.a) :
-        board.rightValue;
+    const newBoard = simulatePlacement(board, tile, side) || board;
+    const openValues = getAvailableSides(newBoard, rules.seat).map(s => getEndValue(newBoard, s));
 
     return hand.filter(t =>
-        t.a === newLeftValue || t.b === newLeftValue ||
-        t.a === newRightValue || t.b === newRightValue
+        openValues.includes(t.a) || openValues.includes(t.b)
     ).length;
 }
 
@@ -173,25 +458,18 @@ function countPlayableTilesAfterMove(board, hand, tile, side) {
  * @param {Object} board - Estado del tablero
  * @param {Array} hand - Mano de la IA
  * @param {Array} playableTiles - Fichas jugables
+ * @param {Object} rules - Reglas de la partida
  * @returns {Object} Mejor jugada según minimax
  */
-function selectHardMove(board, hand, playableTiles) {
-    let bestMove = null;
-    let bestScore = -Infinity;
-
+function selectHardMove(board, hand, playableTiles, rules) {
     // Evaluar cada jugada posible con minimax de profundidad 2
-    playableTiles.forEach(({ tile, sides }) => {
-        sides.forEach(side => {
-            const score = minimaxEvaluate(board, hand, tile, side, 2);
+    const bestMove = pickBestMove(
+        playableTiles,
+        (tile, side) => minimaxEvaluate(board, hand, tile, side, 2, rules),
+        rules
+    );
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = { tile, side };
-            }
-        });
-    });
-
-    return bestMove || selectMediumMove(board, hand, playableTiles);
+    return bestMove || selectMediumMove(board, hand, playableTiles, rules);
 }
 
 /**
@@ -201,33 +479,22 @@ function selectHardMove(board, hand, playableTiles) {
  * @param {Object} tile - Ficha a evaluar
  * @param {string} side - Lado donde colocar
  * @param {number} depth - Profundidad restante
+ * @param {Object} rules - Reglas de la partida
  * @returns {number} Puntuación minimax
  */
-function minimaxEvaluate(board, hand, tile, side, depth) {
+function minimaxEvaluate(board, hand, tile, side, depth, rules) {
     // Evaluación base con heurística
-    let score = evaluateMoveHeuristic(board, hand, tile, side);
+    let score = evaluateMoveHeuristic(board, hand, tile, side, rules);
 
     // Si aún hay profundidad, simular jugadas futuras
     if (depth > 0) {
         const remainingHand = hand.filter(t => t.id !== tile.id);
 
-        // Simular nuevos valores del tablero
-        const newLeftValue = side === 'left' ?
-            (tile.a === board.leftValue ? tile.b : tile.a) :
-            board.leftValue;
-
-        const newRightValue = side === 'right' ?
-            (tile.a === board.rightValue ? tile.b : tile.a) :
-            board.rightValue;
-
-        const simulatedBoard = {
-            ...board,
-            leftValue: newLeftValue,
-            rightValue: newRightValue
-        };
+        // Simular el tablero después de la jugada (incluye brazos del spinner)
+        const simulatedBoard = simulatePlacement(board, tile, side) || board;
 
         // Contar jugadas futuras posibles
-        const futurePlayable = getPlayableTiles(simulatedBoard, remainingHand);
+        const futurePlayable = getPlayableTiles(simulatedBoard, remainingHand, rules.seat);
 
         if (futurePlayable.length > 0) {
             // Bonus por mantener opciones
@@ -237,7 +504,7 @@ function minimaxEvaluate(board, hand, tile, side, depth) {
             if (depth > 1) {
                 const futureBestScore = Math.max(
                     ...futurePlayable.slice(0, 3).map(fp => // Limitar a 3 mejores para performance
-                        minimaxEvaluate(simulatedBoard, remainingHand, fp.tile, fp.sides[0], depth - 1)
+                        minimaxEvaluate(simulatedBoard, remainingHand, fp.tile, fp.sides[0], depth - 1, rules)
                     )
                 );
                 score += futureBestScore * 0.5; // Ponderar jugadas futuras
@@ -257,18 +524,142 @@ function minimaxEvaluate(board, hand, tile, side, depth) {
 }
 
 /**
- * Obtiene un resumen de la estrategia de IA
- * @returns {Object} Información sobre la IA
+ * NIVEL EXPERTO: Monte Carlo sobre repartos plausibles de las fichas ocultas
+ * Sin el contexto de la mano (asientos, tamaños de mano) o en el tren
+ * mexicano, donde las simulaciones no modelan los marcadores, juega como
+ * el nivel difícil.
+ * @param {Object} board - Estado del tablero
+ * @param {Array} hand - Mano de la IA
+ * @param {Array} playableTiles - Fichas jugables
+ * @param {Object} rules - Reglas y contexto de la partida
+ * @returns {Object} Mejor jugada según las simulaciones
  */
-export function getAIInfo() {
-    const descriptions = {
-        easy: 'Juega aleatoriamente sin estrategia',
-        medium: 'Usa heurísticas para evaluar jugadas',
-        hard: 'Algoritmo minimax con planificación futura'
-    };
+function selectExpertMove(board, hand, playableTiles, rules) {
+    if (isTrainBoard(board) || !rules.seats || !rules.handSizes) {
+        return selectHardMove(board, hand, playableTiles, rules);
+    }
 
-    return {
-        difficulty: currentDifficulty,
-        description: descriptions[currentDifficulty]
+    return selectMonteCarloMove(board, hand, playableTiles, rules);
+}
+
+/**
+ * Jugada puntuada por el evaluador, con su explicación
+ * @typedef {Object} RankedMove
+ * @property {Object} tile - Ficha
+ * @property {string} side - Lado o tren
+ * @property {number} score - Puntuación del evaluador
+ * @property {number} strength - Puntuación relativa entre 0 (la peor) y 1 (la mejor)
+ * @property {string} reason - Motivo breve ("vacía tu mano de 6s")
+ */
+
+/**
+ * Ordena las jugadas legales de mejor a peor con el evaluador del nivel
+ * difícil (heurística más minimax) y explica cada una
+ * Es determinista: no usa el generador ni el azar del jugador.
+ * @param {Object} board - Estado del tablero
+ * @param {Array} hand - Mano del asiento
+ * @param {Array} playableTiles - Fichas jugables (las de la partida: respetan la ficha de salida)
+ * @param {Object} context - Reglas de la partida, como en AIPlayer.selectBestMove
+ * @param {Object<string, number>} context.weights - Pesos de la heurística (por defecto DEFAULT_WEIGHTS)
+ * @returns {RankedMove[]} Jugadas ordenadas (vacío si no hay ninguna)
+ */
+export function rankMoves(board, hand, playableTiles, context = {}) {
+    const rules = {
+        maxPip: DEFAULT_MAX_PIP,
+        scoring: 'standard',
+        seat: null,
+        ...context,
+        weights: { ...DEFAULT_WEIGHTS, ...context.weights }
     };
+
+    // En la mesa vacía todos los lados son la misma jugada
+    const isEmptyBoard = !isTrainBoard(board) && board.tiles.length === 0;
+
+    const moves = playableTiles.flatMap(({ tile, sides }) =>
+        (isEmptyBoard ? sides.slice(0, 1) : sides).map(side => ({
+            tile,
+            side,
+            score: minimaxEvaluate(board, hand, tile, side, 2, rules),
+            ...getHeuristicTerms(board, hand, tile, side, rules)
+        }))
+    );
+    if (moves.length === 0) return [];
+
+    const scores = moves.map(move => move.score);
+    const worst = Math.min(...scores);
+    const range = Math.max(...scores) - worst;
+
+    // Media de cada término: el motivo es lo que más distingue a la jugada
+    const averages = Object.fromEntries(
+        Object.keys(DEFAULT_WEIGHTS).map(key => [
+            key,
+            moves.reduce((total, move) => total + move.terms[key], 0) / moves.length
+        ])
+    );
+
+    return moves
+        .map(move => ({
+            tile: move.tile,
+            side: move.side,
+            score: move.score,
+            strength: range > 0 ? (move.score - worst) / range : 1,
+            reason: explainMove(hand, move, averages, moves.length, rules)
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Explica una jugada con el término de la heurística que más la separa de
+ * la media de las jugadas posibles
+ * @param {Array} hand - Mano del asiento
+ * @param {Object} move - Jugada con sus términos y datos (getHeuristicTerms)
+ * @param {Object<string, number>} averages - Media de cada término
+ * @param {number} count - Jugadas posibles
+ * @param {Object} rules - Reglas de la partida
+ * @returns {string} Motivo breve
+ */
+function explainMove(hand, move, averages, count, rules) {
+    const { tile, terms, facts } = move;
+
+    if (hand.length === 1) return 'cierras la mano: dominó';
+
+    let key = null;
+    let bestGain = 0;
+    Object.keys(terms).forEach(name => {
+        // Con una sola jugada no hay media con la que comparar
+        const gain = count > 1 ? terms[name] - averages[name] : terms[name];
+        if (gain > bestGain) {
+            key = name;
+            bestGain = gain;
+        }
+    });
+
+    const value = facts.matchingValue;
+    switch (key) {
+        case 'double':
+            return `te quitas el doble ${tile.a}`;
+        case 'pipValue': {
+            const high = Math.max(tile.a, tile.b);
+            const othersWithHigh = hand.filter(t => t.id !== tile.id && (t.a === high || t.b === high));
+            return othersWithHigh.length === 0
+                ? `vacía tu mano de ${high}s`
+                : `te quitas ${tile.a + tile.b} puntos de la mano`;
+        }
+        case 'flexibility':
+            return `deja el ${value} y tienes ${facts.flexibilityCount} ficha${facts.flexibilityCount === 1 ? '' : 's'} más con él`;
+        case 'uniqueNumber':
+            return 'no deja abierto un número que no puedas seguir';
+        case 'futurePlays':
+            return `te deja ${facts.futurePlayable} ficha${facts.futurePlayable === 1 ? '' : 's'} jugable${facts.futurePlayable === 1 ? '' : 's'} para el próximo turno`;
+        case 'fivesPoints':
+            return `anotas ${facts.points} puntos`;
+        case 'ownTrain':
+            return 'vuelves a cerrar tu tren';
+        case 'block':
+            return rules.inference?.missing[facts.nextOpponent]?.includes(value)
+                ? `bloquea el ${value} que el rival no tiene`
+                : `deja el ${value}, que el rival probablemente no tiene`;
+        default:
+            return count === 1 ? 'es tu única jugada' : 'mantiene tus opciones para los próximos turnos';
+    }
 }
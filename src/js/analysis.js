@@ -0,0 +1,263 @@
+/**
+ * Revisión de una mano terminada
+ * Reproduce el registro de la mano en una partida aparte y valora cada
+ * decisión de un asiento con la búsqueda Monte Carlo del nivel experto,
+ * usando solo lo que ese asiento sabía en su turno. Cada jugada se marca
+ * como la mejor, una imprecisión o un error, con la alternativa que la
+ * búsqueda prefería y los puntos que se dejaron por el camino.
+ * Las búsquedas van al worker de la IA (ai-client.js), una decisión tras
+ * otra, con un presupuesto total para toda la revisión.
+ * @module Analysis
+ */
+
+import { createGame, HUMAN_SEAT, SILENT_LOGGER } from "./game.js";
+import { requestEvaluation } from "./ai-client.js";
+import { getBoardTileCount, simulatePlacement } from "./board.js";
+
+/**
+ * Calificaciones de una jugada, de mejor a peor
+ * @type {string[]}
+ */
+export const MOVE_GRADES = ["best", "inaccuracy", "blunder"];
+
+/**
+ * Pérdida de valor desde la que una jugada deja de ser la mejor
+ * El valor mide manos ganadas (una mano = 1), así que 0.05 son unos cinco
+ * puntos de probabilidad de victoria o su equivalente en tantos.
+ * @type {number}
+ */
+const INACCURACY_LOSS = 0.05;
+
+/**
+ * Pérdida de valor desde la que una jugada es un error
+ * @type {number}
+ */
+const BLUNDER_LOSS = 0.2;
+
+/**
+ * Repartos por decisión al revisar (más que en partida: no hay prisa)
+ * @type {number}
+ */
+const ANALYSIS_SAMPLES = 400;
+
+/**
+ * Tope de tiempo por decisión al revisar (ms)
+ * @type {number}
+ */
+const ANALYSIS_TIME_BUDGET_MS = 1500;
+
+/**
+ * Tope de tiempo de toda la revisión (ms), repartido entre las decisiones
+ * que quedan por valorar
+ * @type {number}
+ */
+const REVIEW_TIME_BUDGET_MS = 10000;
+
+/**
+ * Tope de repartos de toda la revisión, repartido igual que el tiempo
+ * @type {number}
+ */
+const REVIEW_SAMPLES = 3000;
+
+/**
+ * Decisión revisada
+ * @typedef {Object} ReviewedMove
+ * @property {number} moveIndex - Posición de la jugada en el registro (desde 0)
+ * @property {Object} tile - Ficha jugada
+ * @property {string|null} side - Lado donde se jugó
+ * @property {string} grade - Calificación: 'best', 'inaccuracy' o 'blunder'
+ * @property {boolean} forced - Si era la única jugada posible
+ * @property {number} loss - Valor perdido frente a la mejor jugada (0 si es la mejor)
+ * @property {number} pointsLost - Tantos medios perdidos frente a la mejor jugada
+ * @property {number} winRate - Proporción de repartos ganados con la jugada hecha
+ * @property {{tile: Object, side: string|null, winRate: number, points: number}|null} best -
+ *   Alternativa mejor (null si la jugada hecha es la mejor)
+ * @property {Object} board - Mesa antes de la jugada
+ * @property {Object} playedBoard - Mesa tras la jugada hecha
+ * @property {Object|null} bestBoard - Mesa tras la alternativa mejor
+ */
+
+/**
+ * Califica una jugada según el valor perdido
+ * @param {number} loss - Valor perdido frente a la mejor
+ * @returns {string} Calificación
+ */
+function gradeLoss(loss) {
+  if (loss >= BLUNDER_LOSS) return "blunder";
+  if (loss >= INACCURACY_LOSS) return "inaccuracy";
+  return "best";
+}
+
+/**
+ * Revisa las decisiones de un asiento en una mano registrada
+ * Solo se revisan las fichas colocadas: robar y pasar nunca son una
+ * elección. La partida en curso no se toca. Cada decisión recibe la parte
+ * que le toca de lo que queda del presupuesto total, sin pasar de los
+ * topes por decisión.
+ * @param {import('./record.js').GameRecord} record - Registro de exportRecord
+ * @param {Object} options - Opciones
+ * @param {string} options.seat - Asiento revisado (por defecto, el del jugador)
+ * @param {number} options.maxSamples - Repartos máximos por decisión
+ * @param {number} options.timeBudgetMs - Tope de tiempo por decisión (ms)
+ * @param {number} options.totalSamples - Repartos máximos de toda la revisión
+ * @param {number} options.totalTimeMs - Tope de tiempo de toda la revisión (ms)
+ * @param {Function} options.onProgress - Recibe (valoradas, total) antes de
+ *   la primera búsqueda y tras cada una
+ * @param {import('./game.js').GameLogger} options.logger - Destino de los mensajes
+ *   (SILENT_LOGGER para callarlos)
+ * @returns {Promise<{valid: boolean, error: string|null, moves: ReviewedMove[],
+ *   summary: {best: number, inaccuracy: number, blunder: number, pointsLost: number}}>}
+ *   Revisión; pointsLost suma los tantos perdidos en imprecisiones y errores.
+ *   Se rechaza con un error "AbortError" si se cancela con cancelMoveRequests.
+ */
+export async function analyzeHand(
+  record,
+  {
+    seat = HUMAN_SEAT,
+    maxSamples = ANALYSIS_SAMPLES,
+    timeBudgetMs = ANALYSIS_TIME_BUDGET_MS,
+    totalSamples = REVIEW_SAMPLES,
+    totalTimeMs = REVIEW_TIME_BUDGET_MS,
+    onProgress = () => {},
+    logger = console,
+  } = {}
+) {
+  const moves = [];
+  const summary = { best: 0, inaccuracy: 0, blunder: 0, pointsLost: 0 };
+  const reject = (error) => ({ valid: false, error, moves, summary });
+
+  if (!record?.deal || !Array.isArray(record.moves)) {
+    return reject("No hay mano que revisar");
+  }
+  if (record.rules?.variant === "mexican-train") {
+    return reject("La revisión no está disponible en el tren mexicano");
+  }
+
+  let game;
+  try {
+    game = createGame({
+      ...record.rules,
+      seed: record.seed,
+      startingPlayer: record.deal.startingPlayer ?? "random",
+      currentRound: record.round ?? 1,
+      logger: SILENT_LOGGER,
+      humanSeat: null,
+    });
+  } catch (e) {
+    return reject(`Reglas no válidas: ${e.message}`);
+  }
+
+  // Primero se reproduce la mano entera (rápido) y se anotan las decisiones
+  const decisions = [];
+  for (let i = 0; i < record.moves.length; i++) {
+    const move = record.moves[i];
+    if (move.seat === seat && move.action === "play") {
+      const decision = prepareDecision(game, move, i);
+      if (decision) decisions.push(decision);
+    }
+
+    const error = game.applyMove(move);
+    if (error) {
+      return reject(`Jugada ${i + 1}: ${error}`);
+    }
+  }
+
+  // Después se valoran las que tenían alternativa, repartiendo el presupuesto
+  const searches = decisions.filter(({ reviewed }) => !reviewed.forced);
+  const deadline = Date.now() + totalTimeMs;
+  let samplesLeft = totalSamples;
+  onProgress(0, searches.length);
+  for (let i = 0; i < searches.length; i++) {
+    const left = searches.length - i;
+    const { moves: candidates, samples } = await requestEvaluation(
+      searches[i].request,
+      searches[i].playable,
+      {
+        timeMs: Math.max(0, Math.min(timeBudgetMs, (deadline - Date.now()) / left)),
+        maxSamples: Math.max(1, Math.min(maxSamples, Math.floor(samplesLeft / left))),
+      }
+    );
+    samplesLeft -= samples;
+    gradeDecision(searches[i], candidates);
+    onProgress(i + 1, searches.length);
+  }
+
+  decisions.forEach(({ reviewed }) => {
+    moves.push(reviewed);
+    summary[reviewed.grade] += 1;
+    if (reviewed.grade !== "best") summary.pointsLost += reviewed.pointsLost;
+  });
+  summary.pointsLost = Math.round(summary.pointsLost);
+  logger.log("🔍 Mano revisada:", summary);
+  return { valid: true, error: null, moves, summary };
+}
+
+/**
+ * Prepara la revisión de una jugada registrada (uso interno)
+ * Las jugadas forzadas quedan revisadas; las demás esperan a gradeDecision.
+ * @param {import('./game.js').GameInstance} game - Partida en el turno de la jugada
+ * @param {Object} move - Jugada registrada
+ * @param {number} moveIndex - Posición en el registro
+ * @returns {{reviewed: ReviewedMove, request: Object, playable: Array,
+ *   isPlayed: Function, place: Function, isOpening: boolean}|null} Decisión,
+ *   o null si la ficha no está en la mano
+ */
+function prepareDecision(game, move, moveIndex) {
+  const request = game.getAIRequest({ difficulty: "expert" });
+  const tile = request?.hand.find((t) => t.id === move.tile);
+  if (!tile) return null;
+
+  // Con la mesa vacía el lado no cambia nada: una candidata por ficha
+  const isOpening = getBoardTileCount(request.board) === 0;
+  const playable = game
+    .getCurrentPlayerPlayableTiles()
+    .map(({ tile: t, sides }) => ({ tile: t, sides: isOpening ? sides.slice(0, 1) : sides }));
+  const candidateCount = playable.reduce((total, { sides }) => total + sides.length, 0);
+  const isPlayed = (candidate) =>
+    candidate.tile.id === move.tile && (isOpening || candidate.side === move.side);
+  const place = (t, side) =>
+    simulatePlacement(request.board, t, isOpening ? side ?? "left" : side);
+
+  const reviewed = {
+    moveIndex,
+    tile,
+    side: move.side ?? null,
+    grade: "best",
+    forced: candidateCount <= 1,
+    loss: 0,
+    pointsLost: 0,
+    winRate: null,
+    best: null,
+    board: request.board,
+    playedBoard: place(tile, move.side),
+    bestBoard: null,
+  };
+
+  return { reviewed, request, playable, isPlayed, place, isOpening };
+}
+
+/**
+ * Califica una decisión con la valoración de sus candidatas (uso interno)
+ * @param {Object} decision - Decisión de prepareDecision
+ * @param {Array} candidates - Jugadas valoradas por evaluateMonteCarloMoves
+ */
+function gradeDecision({ reviewed, isPlayed, place, isOpening }, candidates) {
+  const played = candidates.find(isPlayed);
+  if (!played) return;
+
+  const best = candidates.reduce((top, candidate) => (candidate.value > top.value ? candidate : top));
+  reviewed.winRate = played.winRate;
+  reviewed.loss = Math.max(0, best.value - played.value);
+  reviewed.grade = gradeLoss(reviewed.loss);
+
+  if (reviewed.grade !== "best") {
+    reviewed.pointsLost = Math.max(0, best.points - played.points);
+    reviewed.best = {
+      tile: best.tile,
+      side: isOpening ? null : best.side,
+      winRate: best.winRate,
+      points: best.points,
+    };
+    reviewed.bestBoard = place(best.tile, best.side);
+  }
+}
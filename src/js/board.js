@@ -11,21 +11,173 @@
  * @property {number|null} leftValue - Valor del extremo izquierdo abierto
  * @property {number|null} rightValue - Valor del extremo derecho abierto
  * @property {Array} history - Historial de jugadas para posible "deshacer"
+ * @property {boolean} spinnerEnabled - Si el primer doble actúa como spinner
+ * @property {Object|null} spinner - Spinner {id, value, leftCovered, rightCovered}
+ * @property {Array} north - Brazo norte del spinner (desde el spinner hacia fuera)
+ * @property {Array} south - Brazo sur del spinner (desde el spinner hacia fuera)
+ * @property {number|null} northValue - Valor abierto del brazo norte
+ * @property {number|null} southValue - Valor abierto del brazo sur
  */
 
+/**
+ * Mesa del tren mexicano: un doble central (la "máquina") del que salen
+ * un tren por asiento y el tren mexicano compartido. Cada tren actúa como
+ * un lado más de la mesa, identificado por el asiento dueño o 'mexican'.
+ * @typedef {Object} TrainBoardState
+ * @property {string} type - Siempre 'trains'
+ * @property {Object} engine - Doble central del que salen todos los trenes
+ * @property {string[]} trainOrder - Trenes en orden de presentación
+ * @property {Object<string, Train>} trains - Trenes por identificador
+ * @property {string|null} pendingDouble - Tren con un doble sin cubrir
+ * @property {Array} history - Historial de jugadas
+ */
+
+/**
+ * Un tren de la mesa del tren mexicano
+ * @typedef {Object} Train
+ * @property {string|null} owner - Asiento dueño (null en el tren mexicano)
+ * @property {Array} tiles - Fichas desde la máquina hacia fuera (lado A conectado)
+ * @property {number} endValue - Valor abierto al final del tren
+ * @property {boolean} marked - Tren marcado: su dueño no pudo jugar y queda abierto a todos
+ */
+
+/**
+ * Identificador del tren compartido
+ * @type {string}
+ */
+export const MEXICAN_TRAIN = "mexican";
+
+/**
+ * Lados en los que se puede colocar una ficha
+ * 'north' y 'south' solo existen con spinner, una vez cubiertos sus dos flancos
+ * @type {string[]}
+ */
+export const BOARD_SIDES = ["left", "right", "north", "south"];
+
 /**
  * Inicializa una nueva mesa vacía
+ * @param {Object} options - Opciones de la mesa
+ * @param {boolean} options.spinner - El primer doble abre cuatro direcciones
  * @returns {BoardState} Estado inicial de la mesa
  */
-export function initBoard() {
+export function initBoard(options = {}) {
   return {
     tiles: [],
     leftValue: null,
     rightValue: null,
     history: [],
+    spinnerEnabled: !!options.spinner,
+    spinner: null,
+    north: [],
+    south: [],
+    northValue: null,
+    southValue: null,
   };
 }
 
+/**
+ * Indica si el spinner tiene abiertos sus brazos norte y sur
+ * Los brazos se abren cuando ya hay fichas a ambos lados del spinner
+ * @param {BoardState} board - Estado de la mesa
+ * @returns {boolean} True si se puede jugar al norte y al sur
+ */
+export function isSpinnerOpen(board) {
+  return !!(
+    board.spinner &&
+    board.spinner.leftCovered &&
+    board.spinner.rightCovered
+  );
+}
+
+/**
+ * Obtiene los lados donde se puede jugar ahora mismo
+ * En el tren mexicano depende de quién juega (su tren y los trenes abiertos).
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @param {string|null} seat - Asiento que va a jugar (solo para trenes)
+ * @returns {string[]} Lados disponibles
+ */
+export function getAvailableSides(board, seat = null) {
+  if (isTrainBoard(board)) return getTrainSides(board, seat);
+  return isSpinnerOpen(board) ? BOARD_SIDES : ["left", "right"];
+}
+
+/**
+ * Obtiene el valor abierto de un lado de la mesa
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @param {string} side - 'left', 'right', 'north', 'south' o un tren
+ * @returns {number|null} Valor abierto del lado
+ */
+export function getEndValue(board, side) {
+  if (isTrainBoard(board)) return board.trains[side]?.endValue ?? null;
+
+  switch (side) {
+    case "left":
+      return board.leftValue;
+    case "right":
+      return board.rightValue;
+    case "north":
+      return isSpinnerOpen(board) ? board.northValue : null;
+    case "south":
+      return isSpinnerOpen(board) ? board.southValue : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Guarda los extremos actuales para el historial
+ * @param {BoardState} board - Estado de la mesa
+ * @returns {Object} Extremos y spinner antes de la jugada
+ */
+function snapshotEnds(board) {
+  return {
+    leftValue: board.leftValue,
+    rightValue: board.rightValue,
+    northValue: board.northValue,
+    southValue: board.southValue,
+    spinner: board.spinner,
+  };
+}
+
+/**
+ * Actualiza el spinner tras colocar una ficha en la línea principal
+ * El primer doble jugado se convierte en spinner; después, cada ficha
+ * añadida a un extremo cubre ese flanco. Al cubrirse ambos se abren
+ * los brazos norte y sur con el valor del spinner.
+ * @param {BoardState} board - Mesa antes de la jugada
+ * @param {BoardState} newBoard - Mesa después de la jugada (se modifica)
+ * @param {Object} tile - Ficha colocada
+ * @param {string} side - 'left' o 'right'
+ */
+function updateSpinner(board, newBoard, tile, side) {
+  if (!board.spinnerEnabled) return;
+
+  const isFirstTile = board.tiles.length === 0;
+
+  if (!board.spinner) {
+    if (tile.a !== tile.b) return;
+
+    newBoard.spinner = {
+      id: tile.id,
+      value: tile.a,
+      // Si no es la primera ficha, el flanco por el que se conectó ya está cubierto
+      leftCovered: !isFirstTile && side === "right",
+      rightCovered: !isFirstTile && side === "left",
+    };
+  } else {
+    newBoard.spinner = {
+      ...board.spinner,
+      leftCovered: board.spinner.leftCovered || side === "left",
+      rightCovered: board.spinner.rightCovered || side === "right",
+    };
+  }
+
+  if (isSpinnerOpen(newBoard) && newBoard.northValue === null) {
+    newBoard.northValue = newBoard.spinner.value;
+    newBoard.southValue = newBoard.spinner.value;
+  }
+}
+
 /**
  * Valida si una ficha puede jugarse en el extremo izquierdo
  * @param {BoardState} board - Estado actual de la mesa
@@ -124,10 +276,7 @@ export function placeLeft(board, playInfo) {
         action: "place",
         side: "left",
         tile: newTile,
-        previousState: {
-          leftValue: board.leftValue,
-          rightValue: board.rightValue,
-        },
+        previousState: snapshotEnds(board),
       },
     ],
   };
@@ -143,6 +292,8 @@ export function placeLeft(board, playInfo) {
     newBoard.leftValue = newTile.a;
   }
 
+  updateSpinner(board, newBoard, newTile, "left");
+
   return newBoard;
 }
 
@@ -164,10 +315,7 @@ export function placeRight(board, playInfo) {
         action: "place",
         side: "right",
         tile: newTile,
-        previousState: {
-          leftValue: board.leftValue,
-          rightValue: board.rightValue,
-        },
+        previousState: snapshotEnds(board),
       },
     ],
   };
@@ -183,43 +331,230 @@ export function placeRight(board, playInfo) {
     newBoard.rightValue = newTile.b;
   }
 
+  updateSpinner(board, newBoard, newTile, "right");
+
   return newBoard;
 }
 
 /**
- * Encuentra todas las fichas jugables de una mano
+ * Valida si una ficha puede jugarse en el brazo norte del spinner
+ * La ficha se guarda con su lado A hacia fuera (como en el extremo izquierdo)
+ * @param {BoardState} board - Estado actual de la mesa
+ * @param {Object} tile - Ficha a validar {a, b, id, isDouble}
+ * @returns {Object|null} Información de jugada válida o null
+ */
+export function canPlayNorth(board, tile) {
+  return canPlayArm(board, tile, "north");
+}
+
+/**
+ * Valida si una ficha puede jugarse en el brazo sur del spinner
+ * La ficha se guarda con su lado B hacia fuera (como en el extremo derecho)
+ * @param {BoardState} board - Estado actual de la mesa
+ * @param {Object} tile - Ficha a validar {a, b, id, isDouble}
+ * @returns {Object|null} Información de jugada válida o null
+ */
+export function canPlaySouth(board, tile) {
+  return canPlayArm(board, tile, "south");
+}
+
+/**
+ * Valida una jugada en un brazo del spinner (uso interno)
+ * @param {BoardState} board - Estado actual de la mesa
+ * @param {Object} tile - Ficha a validar
+ * @param {string} side - 'north' o 'south'
+ * @returns {Object|null} Información de jugada válida o null
+ */
+function canPlayArm(board, tile, side) {
+  const endValue = getEndValue(board, side);
+  if (endValue === null) return null;
+
+  // Norte conecta por B (A queda fuera); sur conecta por A (B queda fuera)
+  const connecting = side === "north" ? "b" : "a";
+  const outer = side === "north" ? "a" : "b";
+
+  if (tile[connecting] === endValue) {
+    return { tile: tile, side, needsRotate: false, valid: true };
+  }
+
+  if (tile[outer] === endValue) {
+    return {
+      tile: { ...tile, a: tile.b, b: tile.a }, // Ficha rotada
+      side,
+      needsRotate: true,
+      valid: true,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Coloca una ficha en un brazo del spinner
+ * @param {BoardState} board - Estado actual de la mesa
+ * @param {Object} playInfo - Información de jugada válida de canPlayNorth/canPlaySouth
+ * @returns {BoardState} Nuevo estado de la mesa
+ */
+export function placeOnArm(board, playInfo) {
+  const newTile = playInfo.tile;
+  const side = playInfo.side;
+
+  return {
+    ...board,
+    [side]: [...board[side], newTile],
+    [`${side}Value`]: side === "north" ? newTile.a : newTile.b,
+    history: [
+      ...board.history,
+      {
+        action: "place",
+        side,
+        tile: newTile,
+        previousState: snapshotEnds(board),
+      },
+    ],
+  };
+}
+
+/**
+ * Valida si una ficha puede jugarse en cualquier lado de la mesa
+ * @param {BoardState|TrainBoardState} board - Estado actual de la mesa
+ * @param {Object} tile - Ficha a validar
+ * @param {string} side - 'left', 'right', 'north', 'south' o un tren
+ * @returns {Object|null} Información de jugada válida o null
+ */
+export function canPlaySide(board, tile, side) {
+  if (isTrainBoard(board)) return canPlayTrain(board, tile, side);
+
+  switch (side) {
+    case "left":
+      return canPlayLeft(board, tile);
+    case "right":
+      return canPlayRight(board, tile);
+    case "north":
+      return canPlayNorth(board, tile);
+    case "south":
+      return canPlaySouth(board, tile);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Coloca una ficha en el lado indicado por su información de jugada
+ * @param {BoardState|TrainBoardState} board - Estado actual de la mesa
+ * @param {Object} playInfo - Información de jugada válida de canPlaySide
+ * @returns {BoardState|TrainBoardState} Nuevo estado de la mesa
+ */
+export function placeOnSide(board, playInfo) {
+  if (isTrainBoard(board)) return placeOnTrain(board, playInfo);
+
+  switch (playInfo.side) {
+    case "left":
+      return placeLeft(board, playInfo);
+    case "right":
+      return placeRight(board, playInfo);
+    default:
+      return placeOnArm(board, playInfo);
+  }
+}
+
+/**
+ * Simula una jugada sin modificar la mesa original
  * @param {BoardState} board - Estado actual de la mesa
+ * @param {Object} tile - Ficha a jugar
+ * @param {string} side - Lado donde jugar
+ * @returns {BoardState|null} Mesa resultante o null si la jugada no es válida
+ */
+export function simulatePlacement(board, tile, side) {
+  const playInfo = canPlaySide(board, tile, side);
+  return playInfo ? placeOnSide(board, playInfo) : null;
+}
+
+/**
+ * Obtiene los extremos abiertos de la mesa con la ficha que los forma
+ * Los brazos del spinner solo cuentan cuando ya tienen fichas.
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @returns {Array<{side: string, value: number, tile: Object}>} Extremos abiertos
+ */
+export function getOpenEnds(board) {
+  if (isTrainBoard(board)) {
+    return board.trainOrder.map((trainId) => {
+      const train = board.trains[trainId];
+      return {
+        side: trainId,
+        value: train.endValue,
+        tile: train.tiles[train.tiles.length - 1] || board.engine,
+      };
+    });
+  }
+
+  if (board.tiles.length === 0) return [];
+
+  const ends = [
+    { side: "left", value: board.leftValue, tile: board.tiles[0] },
+    {
+      side: "right",
+      value: board.rightValue,
+      tile: board.tiles[board.tiles.length - 1],
+    },
+  ];
+
+  ["north", "south"].forEach((side) => {
+    const arm = board[side] || [];
+    if (arm.length > 0) {
+      ends.push({ side, value: board[`${side}Value`], tile: arm[arm.length - 1] });
+    }
+  });
+
+  return ends;
+}
+
+/**
+ * Cuenta todas las fichas colocadas en la mesa (línea y brazos, o máquina y trenes)
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @returns {number} Número de fichas en la mesa
+ */
+export function getBoardTileCount(board) {
+  if (isTrainBoard(board)) {
+    return Object.values(board.trains).reduce(
+      (total, train) => total + train.tiles.length,
+      1
+    );
+  }
+
+  return (
+    board.tiles.length + (board.north?.length || 0) + (board.south?.length || 0)
+  );
+}
+
+/**
+ * Encuentra todas las fichas jugables de una mano
+ * @param {BoardState|TrainBoardState} board - Estado actual de la mesa
  * @param {Array} hand - Mano del jugador (array de fichas)
+ * @param {string|null} seat - Asiento dueño de la mano (solo para trenes)
  * @returns {Array} Array de objetos con información de jugadas válidas
  */
-export function getPlayableTiles(board, hand) {
+export function getPlayableTiles(board, hand, seat = null) {
   const playable = [];
+  const sides = getAvailableSides(board, seat);
 
   hand.forEach((tile) => {
-    const leftPlay = canPlayLeft(board, tile);
-    const rightPlay = canPlayRight(board, tile);
-
-    if (leftPlay) {
-      playable.push({
-        tile: tile,
-        playInfo: leftPlay,
-        sides: ["left"],
-      });
-    }
+    sides.forEach((side) => {
+      const playInfo = canPlaySide(board, tile, side);
+      if (!playInfo) return;
 
-    if (rightPlay) {
-      // Evitar duplicados si la ficha es doble y puede jugarse en ambos lados
+      // Evitar duplicados si la ficha puede jugarse en varios lados
       const existing = playable.find((p) => p.tile.id === tile.id);
       if (existing) {
-        existing.sides.push("right");
+        existing.sides.push(side);
       } else {
         playable.push({
           tile: tile,
-          playInfo: rightPlay,
-          sides: ["right"],
+          playInfo: playInfo,
+          sides: [side],
         });
       }
-    }
+    });
   });
 
   return playable;
@@ -231,7 +566,7 @@ export function getPlayableTiles(board, hand) {
  * @param {Array} playedTiles - Fichas ya jugadas
  * @param {Array} playerHand - Mano del jugador
  * @param {Array} opponentHand - Mano del oponente
- * @param {number} value - Valor a buscar (0-6)
+ * @param {number} value - Valor a buscar (0-maxPip)
  * @returns {number} Número de fichas restantes con ese valor
  */
 export function countRemainingTilesWithValue(
@@ -256,30 +591,69 @@ export function countRemainingTilesWithValue(
 
 /**
  * Verifica si el juego está bloqueado (ningún jugador puede jugar)
- * @param {BoardState} board - Estado de la mesa
- * @param {Array} playerHand - Mano del jugador
- * @param {Array} opponentHand - Mano del oponente
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @param {Array<Array>} hands - Manos de todos los jugadores
  * @param {Array} stock - Fichas en el pozo
+ * @param {string[]} seats - Asiento de cada mano, en el mismo orden (solo para trenes)
  * @returns {boolean} True si el juego está bloqueado
  */
-export function isGameBlocked(board, playerHand, opponentHand, stock) {
-  const playerCanPlay = getPlayableTiles(board, playerHand).length > 0;
-  const opponentCanPlay = getPlayableTiles(board, opponentHand).length > 0;
+export function isGameBlocked(board, hands, stock, seats = []) {
+  const anyoneCanPlay = hands.some(
+    (hand, index) => getPlayableTiles(board, hand, seats[index]).length > 0
+  );
+
+  return !anyoneCanPlay && stock.length === 0;
+}
+
+/**
+ * Suma los extremos abiertos de la mesa (regla "todos los cincos")
+ * Un doble en un extremo cuenta por sus dos mitades. Con una sola ficha
+ * en la mesa cuentan ambas mitades una vez (un 5-5 suma 10). Los brazos
+ * del spinner suman en cuanto tienen alguna ficha.
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @returns {number} Suma de los extremos abiertos (0 en el tren mexicano, que no la usa)
+ */
+export function getOpenEndsSum(board) {
+  if (isTrainBoard(board) || board.tiles.length === 0) return 0;
+
+  if (getBoardTileCount(board) === 1) {
+    const [tile] = board.tiles;
+    return tile.a + tile.b;
+  }
 
-  return !playerCanPlay && !opponentCanPlay && stock.length === 0;
+  return getOpenEnds(board).reduce(
+    (total, end) =>
+      total + (end.tile.a === end.tile.b ? end.value * 2 : end.value),
+    0
+  );
 }
 
 /**
  * Obtiene estadísticas de la mesa
- * @param {BoardState} board - Estado de la mesa
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
  * @returns {Object} Estadísticas
  */
 export function getBoardStats(board) {
+  if (isTrainBoard(board)) {
+    return {
+      totalTiles: getBoardTileCount(board),
+      engine: board.engine.a,
+      pendingDouble: board.pendingDouble,
+      isFirstMove: getBoardTileCount(board) === 1,
+      longestChain: Math.max(
+        ...Object.values(board.trains).map((train) => train.tiles.length)
+      ),
+    };
+  }
+
   return {
-    totalTiles: board.tiles.length,
+    totalTiles: getBoardTileCount(board),
     leftValue: board.leftValue,
     rightValue: board.rightValue,
+    northValue: getEndValue(board, "north"),
+    southValue: getEndValue(board, "south"),
     isFirstMove: board.tiles.length === 0,
+    openEndsSum: getOpenEndsSum(board),
     longestChain: board.tiles.length,
   };
 }
@@ -291,7 +665,7 @@ export function getBoardStats(board) {
  */
 export function resetBoard(board) {
   return {
-    ...initBoard(),
+    ...initBoard({ spinner: board.spinnerEnabled }),
     history: [
       ...board.history,
       {
@@ -301,3 +675,155 @@ export function resetBoard(board) {
     ],
   };
 }
+
+/**
+ * Inicializa la mesa del tren mexicano
+ * @param {Object} engine - Doble central (la "máquina")
+ * @param {string[]} seats - Asientos de la partida; cada uno tiene su tren
+ * @returns {TrainBoardState} Mesa con todos los trenes vacíos
+ */
+export function initTrainBoard(engine, seats) {
+  const trainOrder = [...seats, MEXICAN_TRAIN];
+  const trains = {};
+  trainOrder.forEach((trainId) => {
+    trains[trainId] = {
+      owner: trainId === MEXICAN_TRAIN ? null : trainId,
+      tiles: [],
+      endValue: engine.a,
+      marked: false,
+    };
+  });
+
+  return {
+    type: "trains",
+    engine,
+    trainOrder,
+    trains,
+    pendingDouble: null,
+    history: [],
+  };
+}
+
+/**
+ * Indica si una mesa es del tren mexicano
+ * @param {BoardState|TrainBoardState} board - Estado de la mesa
+ * @returns {boolean} True si la mesa tiene trenes
+ */
+export function isTrainBoard(board) {
+  return board?.type === "trains";
+}
+
+/**
+ * Indica si un tren está abierto para cualquier asiento
+ * El tren mexicano siempre lo está; los de cada asiento, solo si están marcados.
+ * @param {TrainBoardState} board - Mesa del tren mexicano
+ * @param {string} trainId - Tren a consultar
+ * @returns {boolean} True si cualquiera puede jugar en él
+ */
+export function isTrainOpen(board, trainId) {
+  const train = board.trains[trainId];
+  return !!train && (train.owner === null || train.marked);
+}
+
+/**
+ * Trenes donde puede jugar un asiento (uso interno)
+ * Si hay un doble sin cubrir, solo se puede jugar sobre él.
+ * @param {TrainBoardState} board - Mesa del tren mexicano
+ * @param {string|null} seat - Asiento que va a jugar
+ * @returns {string[]} Trenes disponibles
+ */
+function getTrainSides(board, seat) {
+  if (board.pendingDouble) return [board.pendingDouble];
+
+  return board.trainOrder.filter(
+    (trainId) => trainId === seat || isTrainOpen(board, trainId)
+  );
+}
+
+/**
+ * Valida si una ficha puede engancharse al final de un tren (uso interno)
+ * La ficha se guarda con su lado A hacia la máquina y el B hacia fuera.
+ * @param {TrainBoardState} board - Mesa del tren mexicano
+ * @param {Object} tile - Ficha a validar
+ * @param {string} trainId - Tren donde jugar
+ * @returns {Object|null} Información de jugada válida o null
+ */
+function canPlayTrain(board, tile, trainId) {
+  const endValue = getEndValue(board, trainId);
+  if (endValue === null) return null;
+
+  if (tile.a === endValue) {
+    return { tile: tile, side: trainId, needsRotate: false, valid: true };
+  }
+
+  if (tile.b === endValue) {
+    return {
+      tile: { ...tile, a: tile.b, b: tile.a }, // Ficha rotada
+      side: trainId,
+      needsRotate: true,
+      valid: true,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Engancha una ficha al final de un tren (uso interno)
+ * Un doble deja el tren pendiente hasta que alguien lo cubra.
+ * @param {TrainBoardState} board - Mesa del tren mexicano
+ * @param {Object} playInfo - Información de jugada válida de canPlaySide
+ * @returns {TrainBoardState} Nuevo estado de la mesa
+ */
+function placeOnTrain(board, playInfo) {
+  const newTile = playInfo.tile;
+  const trainId = playInfo.side;
+  const train = board.trains[trainId];
+
+  return {
+    ...board,
+    trains: {
+      ...board.trains,
+      [trainId]: {
+        ...train,
+        tiles: [...train.tiles, newTile],
+        endValue: newTile.b,
+      },
+    },
+    pendingDouble: newTile.a === newTile.b ? trainId : null,
+    history: [
+      ...board.history,
+      {
+        action: "place",
+        side: trainId,
+        tile: newTile,
+        previousState: {
+          endValue: train.endValue,
+          pendingDouble: board.pendingDouble,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Pone o quita el marcador de un tren
+ * El dueño lo marca cuando no puede jugar y lo quita al volver a jugar en él.
+ * @param {TrainBoardState} board - Mesa del tren mexicano
+ * @param {string} trainId - Tren del asiento
+ * @param {boolean} marked - Nuevo estado del marcador
+ * @returns {TrainBoardState} Nuevo estado de la mesa
+ */
+export function setTrainMarker(board, trainId, marked) {
+  const train = board.trains[trainId];
+  if (!train || train.owner === null || train.marked === marked) return board;
+
+  return {
+    ...board,
+    trains: { ...board.trains, [trainId]: { ...train, marked } },
+    history: [
+      ...board.history,
+      { action: marked ? "mark" : "unmark", side: trainId },
+    ],
+  };
+}
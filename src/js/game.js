@@ -1,637 +1,2052 @@
 /**
  * Sistema principal del juego de dominó
- * Gestiona estado global, turnos y flujo del juego
+ * Gestiona estado, turnos y flujo del juego. createGame crea partidas
+ * independientes (sin DOM); las funciones exportadas sueltas manejan la
+ * partida por defecto que usa la interfaz del navegador.
  * @module Game
  */
 
-import { generateTiles, isDouble, rotateTile } from "./tiles.js";
+import {
+  generateTiles,
+  getTileCount,
+  getDefaultTilesPerPlayer,
+  isDouble,
+  rotateTile,
+  DEFAULT_MAX_PIP,
+} from "./tiles.js";
 import {
   initBoard,
-  canPlayLeft,
-  canPlayRight,
-  placeLeft,
-  placeRight,
+  canPlaySide,
+  placeOnSide,
+  getAvailableSides,
+  getBoardTileCount,
   getPlayableTiles,
   isGameBlocked,
-  countRemainingTilesWithValue,
+  getOpenEndsSum,
+  initTrainBoard,
+  isTrainBoard,
+  setTrainMarker,
 } from "./board.js";
-import { selectBestMove, setAIDifficulty, getAIDifficulty } from "./ai.js";
+import {
+  createAIPlayer,
+  parseAIPersonality,
+  rankMoves,
+  AI_DIFFICULTIES,
+  AI_PERSONALITIES,
+} from "./ai.js";
+import { inferHands } from "./inference.js";
+import { createRandom, generateSeed, normalizeSeed } from "./random.js";
+
+/**
+ * Asiento del jugador humano
+ * @type {string}
+ */
+export const HUMAN_SEAT = "player";
+
+/**
+ * Modos de juego disponibles
+ * Cada modo define los asientos en orden de turno y el equipo de cada asiento.
+ * En parejas los compañeros se sientan enfrentados, así que los turnos alternan equipos.
+ * En "cutthroat" (tres jugadores) cada asiento juega por su cuenta.
+ * @type {Object<string, {seats: string[], teams: Object<string, string>}>}
+ */
+export const GAME_MODES = {
+  individual: {
+    seats: ["player", "opponent"],
+    teams: { player: "player", opponent: "opponent" },
+  },
+  partnership: {
+    seats: ["player", "opponent", "partner", "opponent2"],
+    teams: {
+      player: "player",
+      opponent: "opponent",
+      partner: "player",
+      opponent2: "opponent",
+    },
+  },
+  cutthroat: {
+    seats: ["player", "opponent", "opponent2"],
+    teams: { player: "player", opponent: "opponent", opponent2: "opponent2" },
+  },
+};
+
+/**
+ * Sistemas de puntuación disponibles
+ * - standard: solo puntúa quien gana la mano (puntos en mano de los rivales)
+ * - all-fives: además, cada jugada que deja los extremos sumando un múltiplo
+ *   de 5 puntúa al momento (Muggins / "todos los cincos")
+ * @type {string[]}
+ */
+export const SCORING_SYSTEMS = ["standard", "all-fives"];
+
+/**
+ * Variantes de juego disponibles
+ * - classic: una sola línea (opcionalmente con spinner)
+ * - mexican-train: tren mexicano, con un tren por asiento, el tren mexicano
+ *   compartido y una máquina (doble central) que baja un punto cada mano
+ * @type {string[]}
+ */
+export const GAME_VARIANTS = ["classic", "mexican-train"];
 
 /**
- * Estado global del juego
+ * Juego de fichas y fichas por jugador del tren mexicano (2 a 4 jugadores)
+ */
+const MEXICAN_TRAIN_MAX_PIP = 12;
+const MEXICAN_TRAIN_HAND_SIZE = 15;
+
+/**
+ * Reglas de robo disponibles
+ * - block: nadie roba; quien no puede jugar pasa (juego "de bloqueo")
+ * - draw-one: se roba una ficha; si no se puede jugar, se pasa el turno
+ * - draw-until-playable: se roba hasta poder jugar o vaciar el pozo
+ * @type {string[]}
+ */
+export const DRAW_RULES = ["block", "draw-one", "draw-until-playable"];
+
+/**
+ * Reglas de apertura de la mano (ficha con la que se sale)
+ * - double-or-highest: sale el doble más alto; si nadie tiene dobles, la ficha más alta
+ * - double-or-redeal: sale el doble más alto; si nadie tiene dobles, se reparte de nuevo
+ * - free: quien empieza sale con cualquier ficha
+ * Si la mano la abre un asiento concreto (el ganador de la anterior), la salida es libre.
+ * @type {string[]}
+ */
+export const OPENING_RULES = ["double-or-highest", "double-or-redeal", "free"];
+
+/**
+ * Repartos máximos al buscar un doble con la regla "double-or-redeal"
+ */
+const MAX_REDEALS = 50;
+
+/**
+ * Reglas para decidir quién sale en la siguiente mano de un encuentro
+ * - winner: sale el asiento que ganó la mano anterior
+ * - double: sale quien tenga el doble más alto
+ * @type {string[]}
+ */
+export const LEADER_RULES = ["winner", "double"];
+
+/**
+ * Nombres visibles de cada asiento
+ * @type {Object<string, string>}
+ */
+export const SEAT_NAMES = {
+  player: "Tú",
+  opponent: "Oponente",
+  partner: "Compañero",
+  opponent2: "Oponente 2",
+};
+
+/**
+ * Estado de una partida
  * @typedef {Object} GameState
- * @property {string} phase - Fase del juego: 'setup', 'playing', 'finished'
- * @property {string} currentPlayer - 'player' o 'opponent'
- * @property {Array} playerHand - Mano del jugador humano
- * @property {Array} opponentHand - Mano del oponente IA
+ * @property {string} phase - Fase del juego: 'setup', 'playing', 'finished' (fin de mano) o 'match-over' (fin del encuentro)
+ * @property {string} mode - Modo de juego: 'individual', 'partnership' o 'cutthroat'
+ * @property {string[]} seats - Asientos en orden de turno
+ * @property {Object<string, string>} teams - Equipo de cada asiento
+ * @property {string} currentPlayer - Asiento con el turno ('player', 'opponent', ...)
+ * @property {Object<string, Array>} hands - Mano de cada asiento
  * @property {Array} stock - Fichas restantes en el pozo
  * @property {Object} board - Estado de la mesa
  * @property {string} lastAction - Última acción realizada
- * @property {string} winner - Ganador: 'player', 'opponent', 'draw', o null
- * @property {number} playerScore - Puntuación del jugador
- * @property {number} opponentScore - Puntuación del oponente
+ * @property {string} winner - Equipo ganador: 'player', 'opponent', 'opponent2', 'draw', o null
+ * @property {Object<string, number>} scores - Puntuación de cada equipo
  * @property {boolean} isBlocked - Si el juego está bloqueado
  * @property {Object} options - Opciones de configuración
  * @property {number} round - Número de ronda actual (nuevo para FASE 2)
- * @property {number} playerWins - Victorias del jugador (nuevo para FASE 2)
- * @property {number} opponentWins - Victorias del oponente (nuevo para FASE 2)
+ * @property {Object<string, number>} wins - Manos ganadas por cada equipo
+ * @property {string|null} handWinnerSeat - Asiento que ganó la última mano (para decidir quién sale)
+ * @property {string|null} matchWinner - Equipo ganador del encuentro, 'draw' o null si sigue en juego
+ * @property {string} variant - Variante: 'classic' o 'mexican-train'
+ * @property {number} consecutivePasses - Turnos seguidos sin colocar ficha (bloqueo en el tren mexicano)
+ * @property {{id: string, reason: string}|null} openingTile - Ficha obligada para abrir la mano
+ *   ('highest-double' o 'highest-tile') o null si la salida es libre
+ * @property {number|string} seed - Semilla del reparto (la misma semilla repite la mano)
+ * @property {{startingPlayer: string, hands: Object<string, string[]>, stock: string[]}|null} deal -
+ *   Reparto inicial de la mano (IDs de ficha) y valor de startingPlayer con el que se repartió
+ * @property {RecordedMove[]} moves - Jugadas, robos y pases de la mano en orden
+ * @property {number} hintsUsed - Pistas gastadas en el encuentro (cuentan contra options.hintBudget)
  */
 
-// Estado global del juego
-let gameState = null;
+/**
+ * Acción registrada en el historial de la mano
+ * @typedef {Object} RecordedMove
+ * @property {string} seat - Asiento que actúa
+ * @property {string} action - 'play', 'draw' o 'pass'
+ * @property {string} [tile] - ID de la ficha colocada (solo 'play')
+ * @property {string} [side] - Lado donde se colocó (solo 'play')
+ */
 
-// Todas las fichas del juego (referencia estática)
-const ALL_TILES = generateTiles();
+/**
+ * Niveles máximos de deshacer que se conservan por mano
+ * @type {number}
+ */
+const MAX_UNDO_LEVELS = 200;
 
 /**
- * Inicializa una nueva partida
- * @param {Object} options - Opciones de configuración
- * @returns {GameState} Estado inicial del juego
+ * Eventos que emite el motor y datos que recibe cada suscriptor
+ * - move: jugada colocada {action, seat, tile, side, points}
+ * - draw: ficha robada {seat, tile}
+ * - pass: turno pasado {seat}
+ * - turnChanged: el turno pasa a otro asiento {seat, previous}
+ * - handEnded: fin de la mano {winner, score, winnerSeat, isBlocked}
+ * - matchEnded: fin del encuentro {matchWinner}
+ * @type {string[]}
  */
-export function initGame(options = {}) {
-  const {
-    tilesPerPlayer = 7,
-    startingPlayer = "random",
-    enableHints = true,
-    // Nuevas opciones para FASE 2 (preparación)
-    totalRounds = 1,
-    currentRound = 1,
-  } = options;
-
-  // Mezclar todas las fichas
-  const shuffledTiles = [...ALL_TILES].sort(() => Math.random() - 0.5);
-
-  // Repartir fichas
-  const playerHand = shuffledTiles.slice(0, tilesPerPlayer);
-  const opponentHand = shuffledTiles.slice(tilesPerPlayer, tilesPerPlayer * 2);
-  const stock = shuffledTiles.slice(tilesPerPlayer * 2);
-
-  // Determinar jugador inicial
-  let currentPlayer = startingPlayer;
-  if (startingPlayer === "random") {
-    currentPlayer = Math.random() > 0.5 ? "player" : "opponent";
-  } else if (startingPlayer === "double") {
-    // El jugador con el doble más alto comienza
-    const playerDoubles = playerHand.filter((t) => isDouble(t));
-    const opponentDoubles = opponentHand.filter((t) => isDouble(t));
-
-    const playerHighestDouble =
-      playerDoubles.length > 0
-        ? Math.max(...playerDoubles.map((t) => t.a))
-        : -1;
-    const opponentHighestDouble =
-      opponentDoubles.length > 0
-        ? Math.max(...opponentDoubles.map((t) => t.a))
-        : -1;
-
-    currentPlayer =
-      playerHighestDouble >= opponentHighestDouble ? "player" : "opponent";
-  }
-
-  // Inicializar estado del juego con estructura para FASE 2
-  gameState = {
-    phase: "playing",
-    currentPlayer,
-    playerHand,
-    opponentHand,
-    stock,
-    board: initBoard(),
-    lastAction: "game_started",
-    winner: null,
-    playerScore: 0,
-    opponentScore: 0,
-    isBlocked: false,
-    // Para FASE 2 (sistema de rondas)
-    round: currentRound,
-    totalRounds: totalRounds,
-    playerWins: 0,
-    opponentWins: 0,
-    // Opciones
-    options: {
-      tilesPerPlayer,
-      enableHints,
-      totalRounds,
-    },
-  };
+export const GAME_EVENTS = [
+  "move",
+  "draw",
+  "pass",
+  "turnChanged",
+  "handEnded",
+  "matchEnded",
+];
 
-  console.log("🎮 Juego inicializado:", {
-    playerTiles: playerHand.length,
-    opponentTiles: opponentHand.length,
-    stock: stock.length,
-    startingPlayer: currentPlayer,
-    round: currentRound,
-  });
+/**
+ * Busca la ficha que debe abrir la mano según la regla de apertura
+ * El doble más alto de todas las manos; sin dobles, la ficha de más puntos
+ * (en empate, la de extremo más alto) o null si la regla obliga a repartir.
+ * @param {Object<string, Array>} hands - Mano de cada asiento
+ * @param {string} openingRule - 'double-or-highest' o 'double-or-redeal'
+ * @returns {{id: string, reason: string}|null} Ficha de salida y motivo
+ */
+function findOpeningTile(hands, openingRule) {
+  const tiles = Object.values(hands).flat();
+  const doubles = tiles.filter((t) => isDouble(t));
+
+  if (doubles.length > 0) {
+    const highest = doubles.reduce((best, t) => (t.a > best.a ? t : best));
+    return { id: highest.id, reason: "highest-double" };
+  }
 
-  return gameState;
+  if (openingRule === "double-or-redeal" || tiles.length === 0) return null;
+
+  const weight = (t) => (t.a + t.b) * 100 + Math.max(t.a, t.b);
+  const highest = tiles.reduce((best, t) => (weight(t) > weight(best) ? t : best));
+  return { id: highest.id, reason: "highest-tile" };
 }
 
 /**
- * Obtiene el estado actual del juego
- * @returns {GameState} Estado del juego
+ * Obtiene los identificadores de equipo sin repetir
+ * @param {Object<string, string>} teams - Equipo de cada asiento
+ * @returns {string[]} Equipos
  */
-export function getGameState() {
-  return gameState;
+function getTeamIds(teams) {
+  return [...new Set(Object.values(teams))];
 }
 
 /**
- * Intenta que el jugador coloque una ficha
- * @param {string} tileId - ID de la ficha a colocar
- * @param {string} side - Lado donde colocar: 'left' o 'right'
- * @returns {boolean} True si la jugada fue exitosa
+ * Crea un contador a cero para cada equipo
+ * @param {string[]} teamIds - Equipos
+ * @returns {Object<string, number>} Contador por equipo
  */
-export function playerPlay(tileId, side = null) {
-  if (
-    !gameState ||
-    gameState.phase !== "playing" ||
-    gameState.currentPlayer !== "player"
-  ) {
-    console.warn("No es el turno del jugador o el juego no está activo");
-    return false;
-  }
-
-  // Buscar la ficha en la mano del jugador
-  const tileIndex = gameState.playerHand.findIndex((t) => t.id === tileId);
-  if (tileIndex === -1) {
-    console.warn("Ficha no encontrada en la mano del jugador:", tileId);
-    return false;
-  }
-
-  const tile = gameState.playerHand[tileIndex];
-
-  // CORRECCIÓN CRÍTICA: Si la mesa está vacía, colocar automáticamente sin validar lado
-  if (gameState.board.tiles.length === 0) {
-    const playInfo = {
-      tile: tile,
-      side: "left",
-      needsRotate: false,
-      valid: true,
+function createTeamCounter(teamIds) {
+  return Object.fromEntries(teamIds.map((team) => [team, 0]));
+}
+
+/**
+ * Calcula la puntuación de una mano
+ * @param {Array} hand - Mano del jugador
+ * @returns {number} Puntuación total
+ */
+function calculateHandScore(hand) {
+  return hand.reduce((total, tile) => total + tile.a + tile.b, 0);
+}
+
+/**
+ * Destino de los mensajes del motor (console por defecto)
+ * @typedef {Object} GameLogger
+ * @property {function(...*): void} log - Mensajes informativos
+ * @property {function(...*): void} warn - Avisos (jugadas rechazadas, datos no válidos)
+ */
+
+/**
+ * Logger que descarta todos los mensajes (simulaciones, servidor)
+ * @type {GameLogger}
+ */
+export const SILENT_LOGGER = {
+  log: () => {},
+  warn: () => {},
+};
+
+/**
+ * Construye una partida con su propio estado (uso interno)
+ * Todo lo que cambia durante el juego vive en este cierre: estado, generador,
+ * pilas de deshacer, suscriptores y dificultad de la IA.
+ * @param {Object} config - Configuración de la instancia
+ * @param {GameLogger} config.logger - Destino de los mensajes
+ * @param {string} config.aiDifficulty - Dificultad inicial de la IA
+ * @param {Object<string, Object>} config.aiPlayers - Jugador de IA propio de
+ *   algunos asientos (opciones de createAIPlayer o jugadores ya creados)
+ * @param {string|null} config.humanSeat - Asiento que no maneja la IA (null: todos los juega la IA)
+ * @returns {GameInstance} Partida sin repartir
+ */
+function buildGame({
+  logger = console,
+  aiDifficulty: initialDifficulty = "medium",
+  aiPlayers: initialAIPlayers = {},
+  humanSeat = HUMAN_SEAT,
+} = {}) {
+  // Estado de la partida
+  let gameState = null;
+
+  // Generador aleatorio de la partida (barajado, salida y desempates de la IA)
+  let random = createRandom(generateSeed());
+
+  // Pilas de deshacer/rehacer: copias completas del estado (manos, pozo, mesa
+  // con su historial, puntuaciones y generador), tomadas antes de cada acción
+  // del jugador. Deshacer vuelve a ese punto, incluida la respuesta de la IA.
+  let undoStack = [];
+  let redoStack = [];
+
+  // Dificultad por defecto de los asientos de IA de esta partida
+  let aiDifficulty = AI_DIFFICULTIES.includes(initialDifficulty)
+    ? initialDifficulty
+    : "medium";
+
+  // Azar de la heurística de los asientos de IA (dificultad adaptativa)
+  let aiNoise = 0;
+
+  // Personalidad (pesos de la heurística) de los asientos de IA
+  let aiPersonality = AI_PERSONALITIES.balanced;
+
+  // Jugador de IA de cada asiento (los que no tienen uno propio se crean con
+  // la dificultad y la personalidad por defecto en su primer turno)
+  let aiPlayers = {};
+  Object.entries(initialAIPlayers).forEach(([seat, player]) =>
+    setAIPlayer(seat, player)
+  );
+
+  // Suscriptores de cada evento
+  const listeners = Object.fromEntries(
+    GAME_EVENTS.map((event) => [event, new Set()])
+  );
+
+  // Mientras es mayor que 0 no se emiten eventos (reproducción de registros)
+  let mutedDepth = 0;
+
+  /**
+   * Suscribe una función a un evento del motor
+   * @param {string} event - Uno de GAME_EVENTS
+   * @param {function(Object): void} handler - Función a llamar con los datos del evento
+   * @returns {function(): void} Función que cancela la suscripción
+   */
+  function on(event, handler) {
+    if (!listeners[event]) {
+      throw new Error(`Evento desconocido: ${event}`);
+    }
+    listeners[event].add(handler);
+    return () => off(event, handler);
+  }
+
+  /**
+   * Cancela la suscripción de una función a un evento
+   * @param {string} event - Uno de GAME_EVENTS
+   * @param {function(Object): void} handler - Función suscrita
+   */
+  function off(event, handler) {
+    listeners[event]?.delete(handler);
+  }
+
+  /**
+   * Notifica un evento a sus suscriptores (uso interno)
+   * Un suscriptor que falla no impide avisar a los demás.
+   * @param {string} event - Evento
+   * @param {Object} payload - Datos del evento
+   */
+  function emit(event, payload) {
+    if (mutedDepth > 0) return;
+
+    listeners[event].forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (e) {
+        logger.warn(`⚠️ Error en un suscriptor de ${event}:`, e);
+      }
+    });
+  }
+
+  /**
+   * Ejecuta una función sin emitir eventos
+   * Para reproducir registros sin que la interfaz suene ni muestre resultados.
+   * @param {function(): *} fn - Función a ejecutar
+   * @returns {*} Lo que devuelva la función
+   */
+  function withEventsMuted(fn) {
+    mutedDepth += 1;
+    try {
+      return fn();
+    } finally {
+      mutedDepth -= 1;
+    }
+  }
+
+  /**
+   * Avisa del cambio de turno si la mano sigue en juego (uso interno)
+   * @param {string} previous - Asiento que tenía el turno
+   */
+  function emitTurnChanged(previous) {
+    if (gameState.phase === "playing" && gameState.currentPlayer !== previous) {
+      emit("turnChanged", { seat: gameState.currentPlayer, previous });
+    }
+  }
+
+  /**
+   * Inicializa una nueva partida
+   * @param {Object} options - Opciones de configuración
+   * @param {string} options.variant - Variante: 'classic' o 'mexican-train' (doble doce por defecto)
+   * @param {number} options.maxPip - Valor máximo del juego de fichas (6, 9, 12 o 15)
+   * @param {number} options.tilesPerPlayer - Fichas por jugador (por defecto según el juego)
+   * @param {string} options.mode - Modo de juego: 'individual', 'partnership' o 'cutthroat'
+   * @param {string} options.scoring - Sistema de puntuación: 'standard' o 'all-fives'
+   * @param {boolean} options.spinner - El primer doble abre cuatro direcciones (norte y sur)
+   * @param {string} options.drawRule - Regla de robo: 'block', 'draw-one' o 'draw-until-playable'
+   * @param {number|null} options.targetScore - Puntos para ganar el encuentro (100, 150, 200...) o null
+   * @param {number} options.totalRounds - Manos del encuentro "al mejor de N" (1 = una sola mano)
+   * @param {string} options.leaderRule - Quién sale en la siguiente mano: 'winner' o 'double'
+   * @param {string} options.openingRule - Ficha de salida: 'double-or-highest', 'double-or-redeal' o 'free'
+   * @param {number|string} options.seed - Semilla para repetir el reparto (aleatoria si se omite)
+   * @param {boolean} options.allowUndo - Permitir deshacer/rehacer (desactivar en partidas puntuadas)
+   * @param {number|null} options.hintBudget - Pistas por encuentro (partidas puntuadas) o null sin límite
+   * @returns {GameState} Estado inicial del juego
+   */
+  function initGame(options = {}) {
+    const {
+      variant = "classic",
+      maxPip = variant === "mexican-train" ? MEXICAN_TRAIN_MAX_PIP : DEFAULT_MAX_PIP,
+      tilesPerPlayer = variant === "mexican-train"
+        ? MEXICAN_TRAIN_HAND_SIZE
+        : getDefaultTilesPerPlayer(maxPip),
+      mode = "individual",
+      scoring = "standard",
+      spinner = false,
+      drawRule = "draw-one",
+      startingPlayer = "random",
+      enableHints = true,
+      targetScore = null,
+      leaderRule = "winner",
+      openingRule = "double-or-highest",
+      seed = generateSeed(),
+      allowUndo = true,
+      hintBudget = null,
+      totalRounds = 1,
+      currentRound = 1,
+    } = options;
+
+    const modeConfig = GAME_MODES[mode];
+    if (!modeConfig) {
+      throw new Error(`Modo de juego desconocido: ${mode}`);
+    }
+    const seats = [...modeConfig.seats];
+
+    if (!GAME_VARIANTS.includes(variant)) {
+      throw new Error(`Variante de juego desconocida: ${variant}`);
+    }
+
+    const isMexicanTrain = variant === "mexican-train";
+    if (isMexicanTrain && mode === "partnership") {
+      throw new Error("El tren mexicano se juega de forma individual");
+    }
+    if (isMexicanTrain && scoring !== "standard") {
+      throw new Error("El tren mexicano solo admite la puntuación clásica");
+    }
+
+    if (!SCORING_SYSTEMS.includes(scoring)) {
+      throw new Error(`Sistema de puntuación desconocido: ${scoring}`);
+    }
+
+    if (!DRAW_RULES.includes(drawRule)) {
+      throw new Error(`Regla de robo desconocida: ${drawRule}`);
+    }
+
+    if (!OPENING_RULES.includes(openingRule)) {
+      throw new Error(`Regla de apertura desconocida: ${openingRule}`);
+    }
+
+    if (!LEADER_RULES.includes(leaderRule)) {
+      throw new Error(`Regla de salida desconocida: ${leaderRule}`);
+    }
+
+    if (targetScore !== null && !(targetScore > 0)) {
+      throw new Error(`Puntuación objetivo no válida: ${targetScore}`);
+    }
+
+    if (!Number.isInteger(totalRounds) || totalRounds < 1) {
+      throw new Error(`Número de manos no válido: ${totalRounds}`);
+    }
+
+    if (hintBudget !== null && !(Number.isInteger(hintBudget) && hintBudget >= 0)) {
+      throw new Error(`Número de pistas no válido: ${hintBudget}`);
+    }
+
+    // En el tren mexicano la máquina va a la mesa antes de repartir:
+    // doble máximo en la primera mano y un punto menos en cada mano siguiente
+    const engineValue = maxPip - ((currentRound - 1) % (maxPip + 1));
+    const engineId = `${engineValue}-${engineValue}`;
+    const dealtCount = getTileCount(maxPip) - (isMexicanTrain ? 1 : 0);
+
+    // Validar que el reparto cabe en el juego elegido
+    if (tilesPerPlayer * seats.length > dealtCount) {
+      throw new Error(
+        `No hay fichas suficientes para repartir ${tilesPerPlayer} a ${seats.length} jugadores en doble ${maxPip}`
+      );
+    }
+
+    random = createRandom(seed);
+
+    const allGameTiles = generateTiles(maxPip);
+    const engine = isMexicanTrain
+      ? allGameTiles.find((t) => t.id === engineId)
+      : null;
+
+    // La regla de apertura decide quién sale, salvo que la mano la abra un
+    // asiento concreto o la mesa ya tenga la máquina del tren mexicano
+    const appliesOpeningRule =
+      openingRule !== "free" && !isMexicanTrain && !seats.includes(startingPlayer);
+
+    let hands;
+    let stock;
+    let openingTile = null;
+    for (let deal = 1; ; deal++) {
+      // Mezclar todas las fichas (Fisher-Yates con el generador de la partida)
+      const shuffledTiles = random.shuffle(
+        allGameTiles.filter((t) => t !== engine)
+      );
+
+      // Repartir fichas a cada asiento
+      hands = {};
+      seats.forEach((seat, index) => {
+        hands[seat] = shuffledTiles.slice(
+          index * tilesPerPlayer,
+          (index + 1) * tilesPerPlayer
+        );
+      });
+      stock = shuffledTiles.slice(tilesPerPlayer * seats.length);
+
+      if (!appliesOpeningRule) break;
+
+      openingTile = findOpeningTile(hands, openingRule);
+      if (openingTile || deal >= MAX_REDEALS) break;
+      logger.log("🔄 Nadie tiene dobles, se reparte de nuevo");
+    }
+
+    // Determinar jugador inicial
+    let currentPlayer = startingPlayer;
+    if (openingTile) {
+      currentPlayer = seats.find((seat) =>
+        hands[seat].some((t) => t.id === openingTile.id)
+      );
+    } else if (startingPlayer === "random") {
+      currentPlayer = random.pick(seats);
+    } else if (startingPlayer === "double") {
+      // El asiento con el doble más alto comienza (en empate, el primero en orden)
+      let highestDouble = -1;
+      currentPlayer = seats[0];
+      seats.forEach((seat) => {
+        const doubles = hands[seat].filter((t) => isDouble(t));
+        const seatHighest =
+          doubles.length > 0 ? Math.max(...doubles.map((t) => t.a)) : -1;
+        if (seatHighest > highestDouble) {
+          highestDouble = seatHighest;
+          currentPlayer = seat;
+        }
+      });
+    } else if (!seats.includes(startingPlayer)) {
+      currentPlayer = seats[0];
+    }
+
+    const teamIds = getTeamIds(modeConfig.teams);
+
+    // Inicializar estado del juego con estructura para FASE 2
+    gameState = {
+      phase: "playing",
+      mode,
+      seats,
+      teams: { ...modeConfig.teams },
+      currentPlayer,
+      hands,
+      stock,
+      board: isMexicanTrain
+        ? initTrainBoard(engine, seats)
+        : initBoard({ spinner }),
+      lastAction: "game_started",
+      winner: null,
+      scores: createTeamCounter(teamIds),
+      isBlocked: false,
+      // Sistema de rondas (encuentro a varias manos)
+      round: currentRound,
+      totalRounds: totalRounds,
+      wins: createTeamCounter(teamIds),
+      handWinnerSeat: null,
+      matchWinner: null,
+      variant,
+      consecutivePasses: 0,
+      openingTile,
+      seed,
+      deal: {
+        startingPlayer,
+        hands: Object.fromEntries(
+          seats.map((seat) => [seat, hands[seat].map((t) => t.id)])
+        ),
+        stock: stock.map((t) => t.id),
+      },
+      moves: [],
+      hintsUsed: 0,
+      // Opciones
+      options: {
+        variant,
+        maxPip,
+        tilesPerPlayer,
+        mode,
+        scoring,
+        spinner,
+        drawRule,
+        enableHints,
+        totalRounds,
+        targetScore,
+        leaderRule,
+        openingRule,
+        allowUndo,
+        hintBudget,
+      },
     };
 
-    const newBoard = placeLeft(gameState.board, playInfo);
+    // Cada mano empieza sin historial de deshacer
+    undoStack = [];
+    redoStack = [];
+
+    logger.log("🎮 Juego inicializado:", {
+      seed,
+      variant,
+      tileSet: `doble ${maxPip}`,
+      mode,
+      scoring,
+      drawRule,
+      tilesPerSeat: tilesPerPlayer,
+      stock: stock.length,
+      startingPlayer: currentPlayer,
+      round: currentRound,
+      engine: engine?.id,
+      openingTile: openingTile?.id,
+    });
+
+    return gameState;
+  }
 
-    const newPlayerHand = [...gameState.playerHand];
-    newPlayerHand.splice(tileIndex, 1);
+  /**
+   * Obtiene el estado actual del juego
+   * @returns {GameState} Estado del juego
+   */
+  function getGameState() {
+    return gameState;
+  }
+
+  /**
+   * Obtiene el asiento que juega después de otro
+   * @param {string} seat - Asiento actual
+   * @returns {string} Siguiente asiento en orden de turno
+   */
+  function getNextSeat(seat) {
+    const index = gameState.seats.indexOf(seat);
+    return gameState.seats[(index + 1) % gameState.seats.length];
+  }
+
+  /**
+   * Verifica que sea el turno de un asiento y que la partida esté activa
+   * @param {string} seat - Asiento a verificar
+   * @returns {boolean} True si el asiento puede actuar
+   */
+  function isSeatTurn(seat) {
+    return (
+      !!gameState &&
+      gameState.phase === "playing" &&
+      gameState.currentPlayer === seat
+    );
+  }
+
+  /**
+   * Indica si es el turno del humano (nunca si la IA juega todos los asientos)
+   * @returns {boolean} True si el humano puede actuar
+   */
+  function isHumanTurn() {
+    return humanSeat !== null && isSeatTurn(humanSeat);
+  }
+
+  /**
+   * Coloca una ficha de la mano de un asiento en la mesa (uso interno)
+   * Pasa el turno al siguiente asiento y comprueba victoria o bloqueo.
+   * @param {string} seat - Asiento que juega
+   * @param {string} tileId - ID de la ficha a colocar
+   * @param {string|null} side - Lado donde colocar: 'left', 'right', 'north', 'south' o null (automático)
+   * @returns {Object|null} Información de la jugada (incluye los puntos anotados) o null si no es válida
+   */
+  function playTileForSeat(seat, tileId, side = null) {
+    const hand = gameState.hands[seat];
+    const tileIndex = hand.findIndex((t) => t.id === tileId);
+    if (tileIndex === -1) {
+      logger.warn("Ficha no encontrada en la mano:", { seat, tileId });
+      return null;
+    }
+
+    const tile = hand[tileIndex];
+    const isFirstTile = getBoardTileCount(gameState.board) === 0;
+
+    // Regla de apertura: la primera ficha de la mano está impuesta
+    if (isFirstTile && gameState.openingTile && tileId !== gameState.openingTile.id) {
+      logger.warn("Hay que salir con", gameState.openingTile.id, {
+        seat,
+        tileId,
+        reason: gameState.openingTile.reason,
+      });
+      return null;
+    }
+
+    // CORRECCIÓN CRÍTICA: Si la mesa está vacía, colocar automáticamente sin validar lado
+    let playInfo = null;
+    if (isFirstTile) {
+      playInfo = {
+        tile: tile,
+        side: "left",
+        needsRotate: false,
+        valid: true,
+      };
+    } else {
+      const candidateSides = getAvailableSides(gameState.board, seat).filter(
+        (candidate) => side === null || candidate === side
+      );
+      for (const candidate of candidateSides) {
+        playInfo = canPlaySide(gameState.board, tile, candidate);
+        if (playInfo) break;
+      }
+    }
+
+    if (!playInfo) {
+      logger.warn("Jugada no válida:", { seat, tileId, side });
+      return null;
+    }
+
+    // Realizar jugada
+    let newBoard = placeOnSide(gameState.board, playInfo);
+
+    // Tren mexicano: jugar en el propio tren retira su marcador, y quien
+    // coloca un doble vuelve a jugar para cubrirlo
+    let nextPlayer = getNextSeat(seat);
+    if (isTrainBoard(newBoard)) {
+      if (playInfo.side === seat) {
+        newBoard = setTrainMarker(newBoard, seat, false);
+      }
+      if (newBoard.pendingDouble) {
+        nextPlayer = seat;
+      }
+    }
+
+    const newHand = [...hand];
+    newHand.splice(tileIndex, 1);
 
     gameState = {
       ...gameState,
-      playerHand: newPlayerHand,
+      hands: { ...gameState.hands, [seat]: newHand },
       board: newBoard,
-      lastAction: `player_played_${tileId}_first`,
-      currentPlayer: "opponent",
+      lastAction: `${seat}_played_${tileId}_${isFirstTile ? "first" : playInfo.side}`,
+      currentPlayer: nextPlayer,
+      consecutivePasses: 0,
+      moves: [
+        ...gameState.moves,
+        { seat, action: "play", tile: tileId, side: playInfo.side },
+      ],
     };
 
-    // Verificar si el jugador ganó
-    if (newPlayerHand.length === 0) {
-      const opponentScore = calculateHandScore(gameState.opponentHand);
-      endGame("player", opponentScore);
-      return true;
+    // Puntuar al momento si la regla de los cincos está activa
+    const points = calculatePlacementPoints(newBoard);
+    if (points > 0) {
+      const team = gameState.teams[seat];
+      gameState.scores = { ...gameState.scores, [team]: gameState.scores[team] + points };
     }
 
-    console.log("✅ Jugador jugó primera ficha:", tileId);
-    return true;
+    const move = { action: "play", seat, tile, side: playInfo.side, points };
+    emit("move", move);
+
+    // Verificar si el asiento dominó la mano
+    if (newHand.length === 0) {
+      const team = gameState.teams[seat];
+      endGame(team, calculateOpponentsScore(team), seat);
+      return { ...move, winner: team };
+    }
+
+    // Verificar si el juego está bloqueado
+    checkGameBlocked();
+    emitTurnChanged(seat);
+
+    return move;
   }
 
-  // Validar jugada en mesa no vacía
-  let playInfo = null;
-  if (side === "left" || side === null) {
-    playInfo = canPlayLeft(gameState.board, tile);
+  /**
+   * Calcula los puntos inmediatos de una jugada según el sistema de puntuación
+   * En "todos los cincos" se anotan los extremos si suman un múltiplo de 5.
+   * @param {Object} board - Mesa después de la jugada
+   * @returns {number} Puntos anotados (0 si no hay)
+   */
+  function calculatePlacementPoints(board) {
+    if (gameState.options.scoring !== "all-fives") return 0;
+
+    const sum = getOpenEndsSum(board);
+    return sum > 0 && sum % 5 === 0 ? sum : 0;
   }
-  if ((side === "right" || (side === null && !playInfo)) && !playInfo) {
-    playInfo = canPlayRight(gameState.board, tile);
+
+  /**
+   * Indica si la regla de robo permite robar ahora mismo
+   * @returns {boolean} True si se puede robar del pozo
+   */
+  function canDrawFromStock() {
+    return gameState.options.drawRule !== "block" && gameState.stock.length > 0;
   }
 
-  if (!playInfo) {
-    console.warn("Jugada no válida:", { tileId, side });
-    return false;
+  /**
+   * Decide si un asiento conserva el turno después de robar sin poder jugar
+   * Solo ocurre con "robar hasta poder jugar" mientras quede pozo.
+   * @returns {boolean} True si debe seguir robando
+   */
+  function mustKeepDrawing() {
+    return (
+      gameState.options.drawRule === "draw-until-playable" &&
+      gameState.stock.length > 0
+    );
+  }
+
+  /**
+   * Roba una ficha del pozo para un asiento (uso interno)
+   * @param {string} seat - Asiento que roba
+   * @returns {Object|null} Ficha robada
+   */
+  function drawTileForSeat(seat) {
+    if (gameState.stock.length === 0) return null;
+
+    const drawnTile = gameState.stock.at(-1);
+    gameState = {
+      ...gameState,
+      stock: gameState.stock.slice(0, -1),
+      hands: { ...gameState.hands, [seat]: [...gameState.hands[seat], drawnTile] },
+      moves: [...gameState.moves, { seat, action: "draw" }],
+    };
+    emit("draw", { seat, tile: drawnTile });
+    return drawnTile;
   }
 
-  // Realizar jugada
-  let newBoard;
-  if (playInfo.side === "left") {
-    newBoard = placeLeft(gameState.board, playInfo);
-  } else {
-    newBoard = placeRight(gameState.board, playInfo);
+  /**
+   * Decide cómo sigue el turno de un asiento que acaba de robar (uso interno)
+   * Conserva el turno si puede jugar la ficha robada o debe seguir robando;
+   * si no, lo cede.
+   * @param {string} seat - Asiento que robó
+   * @returns {string} 'can-play', 'keep-drawing' o 'turn-ended'
+   */
+  function resolveDraw(seat) {
+    const playableAfterDraw = getPlayableTiles(
+      gameState.board,
+      gameState.hands[seat],
+      seat
+    );
+
+    if (playableAfterDraw.length > 0) return "can-play";
+    if (mustKeepDrawing()) return "keep-drawing";
+
+    endTurnWithoutPlay(seat);
+    return "turn-ended";
   }
 
-  // Actualizar estado del juego
-  const newPlayerHand = [...gameState.playerHand];
-  newPlayerHand.splice(tileIndex, 1);
+  /**
+   * Indica si un asiento puede pasar: sin fichas jugables y sin poder robar
+   * @param {string} seat - Asiento a consultar
+   * @returns {boolean} True si puede pasar
+   */
+  function canSeatPass(seat) {
+    return getSeatPlayableTiles(seat).length === 0 && !canDrawFromStock();
+  }
 
-  gameState = {
-    ...gameState,
-    playerHand: newPlayerHand,
-    board: newBoard,
-    lastAction: `player_played_${tileId}_${playInfo.side}`,
-    currentPlayer: "opponent",
-  };
+  /**
+   * Cede el turno de un asiento que no ha podido colocar ficha (uso interno)
+   * En el tren mexicano su tren queda marcado y abierto a todos.
+   * @param {string} seat - Asiento que no pudo jugar
+   */
+  function endTurnWithoutPlay(seat) {
+    if (isTrainBoard(gameState.board)) {
+      gameState.board = setTrainMarker(gameState.board, seat, true);
+    }
+    gameState.consecutivePasses += 1;
+    gameState.currentPlayer = getNextSeat(seat);
 
-  // Verificar si el jugador ganó
-  if (newPlayerHand.length === 0) {
-    const opponentScore = calculateHandScore(gameState.opponentHand);
-    endGame("player", opponentScore);
-    return true;
+    // Verificar si el juego está bloqueado
+    checkGameBlocked();
+    emitTurnChanged(seat);
   }
 
-  // Verificar si el juego está bloqueado
-  checkGameBlocked();
+  /**
+   * Pasa el turno de un asiento al siguiente (uso interno)
+   * @param {string} seat - Asiento que pasa
+   */
+  function passTurnForSeat(seat) {
+    gameState.lastAction = `${seat}_passed`;
+    gameState.moves.push({ seat, action: "pass" });
+    emit("pass", { seat });
+    endTurnWithoutPlay(seat);
+  }
 
-  console.log("✅ Jugador jugó ficha:", tileId, "en", playInfo.side);
-  return true;
-}
+  /**
+   * Intenta que el jugador coloque una ficha
+   * @param {string} tileId - ID de la ficha a colocar
+   * @param {string} side - Lado donde colocar: 'left', 'right', 'north' o 'south'
+   * @returns {Object|null} Información de la jugada (con los puntos anotados) o null si no es válida
+   */
+  function playerPlay(tileId, side = null) {
+    if (!isHumanTurn()) {
+      logger.warn("No es el turno del jugador o el juego no está activo");
+      return null;
+    }
 
-/**
- * Hace que el oponente IA juegue una ficha
- * @returns {Object|null} Información de la jugada realizada
- */
-export function aiPlay() {
-  if (
-    !gameState ||
-    gameState.phase !== "playing" ||
-    gameState.currentPlayer !== "opponent"
-  ) {
-    console.warn("No es el turno del oponente o el juego no está activo");
-    return null;
-  }
-
-  // Si la mesa está vacía, colocar primera ficha automáticamente
-  if (gameState.board.tiles.length === 0) {
-    const tile = gameState.opponentHand[0];
-    const playInfo = {
-      tile: tile,
-      side: "left",
-      needsRotate: false,
-      valid: true,
-    };
+    const snapshot = takeSnapshot();
+    const move = playTileForSeat(humanSeat, tileId, side);
+    if (!move) return null;
+    pushUndoPoint(snapshot);
 
-    const newBoard = placeLeft(gameState.board, playInfo);
+    logger.log("✅ Jugador jugó ficha:", tileId, "en", move.side, `(+${move.points})`);
+    return move;
+  }
 
-    const newOpponentHand = [...gameState.opponentHand];
-    newOpponentHand.shift();
+  /**
+   * Obtiene el jugador de IA de un asiento
+   * Si no tiene uno propio se le crea con la dificultad y la personalidad
+   * por defecto.
+   * @param {string} seat - Asiento
+   * @returns {import('./ai.js').AIPlayer} Jugador de IA
+   */
+  function getAIPlayer(seat) {
+    if (!aiPlayers[seat]) {
+      aiPlayers[seat] = createAIPlayer({
+        level: aiDifficulty,
+        weights: aiPersonality.weights,
+        noise: aiNoise,
+      });
+    }
+    return aiPlayers[seat];
+  }
 
-    gameState = {
-      ...gameState,
-      opponentHand: newOpponentHand,
-      board: newBoard,
-      lastAction: `opponent_played_${tile.id}_first`,
-      currentPlayer: "player",
-    };
+  /**
+   * Asigna a un asiento su propio jugador de IA (nivel y pesos)
+   * @param {string} seat - Asiento
+   * @param {import('./ai.js').AIPlayer|Object} player - Jugador de createAIPlayer
+   *   u opciones para crearlo ({level, weights})
+   * @returns {import('./ai.js').AIPlayer} Jugador asignado
+   * @throws {Error} Si las opciones no son válidas
+   */
+  function setAIPlayer(seat, player) {
+    aiPlayers[seat] =
+      typeof player?.selectBestMove === "function"
+        ? player
+        : createAIPlayer(player);
+    logger.log("🤖", seat, "juega en nivel", aiPlayers[seat].level);
+    return aiPlayers[seat];
+  }
 
-    if (newOpponentHand.length === 0) {
-      const playerScore = calculateHandScore(gameState.playerHand);
-      endGame("opponent", playerScore);
-      return { action: "play", tile, side: "left", winner: "opponent" };
+  /**
+   * Jugador de IA para un turno (uso interno)
+   * Con otra dificultad para ese turno, uno temporal con los mismos pesos.
+   * @param {string} seat - Asiento
+   * @param {string|undefined} difficulty - Dificultad del turno
+   * @returns {import('./ai.js').AIPlayer} Jugador de IA
+   */
+  function resolveAIPlayer(seat, difficulty) {
+    const player = getAIPlayer(seat);
+    if (!AI_DIFFICULTIES.includes(difficulty) || difficulty === player.level) {
+      return player;
     }
+    return createAIPlayer({
+      level: difficulty,
+      weights: player.weights,
+      noise: player.noise,
+      random: player.random,
+    });
+  }
 
-    console.log("🤖 Oponente jugó primera ficha:", tile.id);
-    return { action: "play", tile, side: "left" };
+  /**
+   * Copia serializable del nivel, los pesos y el azar de cada asiento (uso interno)
+   * @returns {Object<string, {level: string, weights: Object<string, number>, noise: number}>} Jugadores
+   */
+  function describeAIPlayers() {
+    return Object.fromEntries(
+      Object.entries(aiPlayers).map(([seat, player]) => [
+        seat,
+        { level: player.level, weights: { ...player.weights }, noise: player.noise },
+      ])
+    );
   }
 
-  // Usar sistema de IA con 3 niveles
-  const bestMove = selectBestMove(gameState.board, gameState.opponentHand);
+  /**
+   * Indica si el turno es de un asiento que maneja la IA (uso interno)
+   * @returns {boolean} True si la IA debe jugar
+   */
+  function isAITurn() {
+    return (
+      !!gameState &&
+      gameState.phase === "playing" &&
+      gameState.currentPlayer !== humanSeat
+    );
+  }
 
-  if (!bestMove) {
-    // No puede jugar, intentar robar del pozo
-    if (gameState.stock.length > 0) {
-      const drawnTile = drawTileForOpponent();
-      gameState.lastAction = "opponent_drew_tile";
-      
-      // CORRECCIÓN: Después de robar, verificar si puede jugar la ficha robada
-      const playableAfterDraw = getPlayableTiles(
-        gameState.board,
-        gameState.opponentHand
-      );
-      
-      if (playableAfterDraw.length > 0) {
-        // Puede jugar después de robar, mantener su turno
-        console.log("🤖 Oponente robó ficha y puede jugar");
-        // Recursión para jugar inmediatamente
-        return aiPlay();
+  /**
+   * Reglas y contexto de la decisión de un asiento de IA, sin el generador
+   * (uso interno). Solo incluye lo que ese asiento puede ver.
+   * @param {string} seat - Asiento de la IA
+   * @param {Object} options - Opciones del turno (ver aiPlay)
+   * @returns {Object} Contexto para AIPlayer.selectBestMove
+   */
+  function buildAIContext(seat, { timeBudgetMs, maxSamples }) {
+    return {
+      maxPip: gameState.options.maxPip,
+      scoring: gameState.options.scoring,
+      seat,
+      // Lo que la IA puede saber de las manos ajenas: solo lo público
+      seats: gameState.seats,
+      teams: gameState.teams,
+      handSizes: getHandSizes(),
+      stockCount: gameState.stock.length,
+      drawRule: gameState.options.drawRule,
+      history: gameState.moves,
+      inference: getInference(seat),
+      timeBudgetMs,
+      maxSamples,
+    };
+  }
+
+  /**
+   * Semilla de la decisión de IA en el punto actual de la mano (uso interno)
+   * Sale de la semilla de la mano y de las jugadas hechas, sin tocar el
+   * generador de la partida: aiPlay y el worker deciden igual, y una
+   * petición cancelada o descartada no cambia las decisiones siguientes.
+   * @returns {number} Semilla
+   */
+  function getDecisionSeed() {
+    return normalizeSeed(`${gameState.seed}:${gameState.moves.length}`);
+  }
+
+  /**
+   * Decisión pendiente de un asiento de IA, lista para calcularse fuera del
+   * motor (Web Worker)
+   * @typedef {Object} AIRequest
+   * @property {string} seat - Asiento que decide
+   * @property {Object} board - Mesa
+   * @property {Array} hand - Mano del asiento
+   * @property {{level: string, weights: Object<string, number>, noise: number}} ai - Jugador de IA del asiento
+   * @property {Object} context - Contexto de AIPlayer.selectBestMove; en lugar
+   *   del generador lleva su semilla (seed)
+   * @property {string|null} forcedTileId - Ficha de salida obligada (no hay nada que decidir)
+   */
+
+  /**
+   * Prepara la decisión del asiento de IA con el turno sin tomarla
+   * La semilla es la de getDecisionSeed: la misma partida repite las mismas
+   * decisiones. El resultado se aplica con applyMove.
+   * @param {Object} options - Opciones del turno (las mismas que aiPlay)
+   * @returns {AIRequest|null} Petición o null si no le toca a la IA
+   */
+  function getAIRequest({ difficulty, timeBudgetMs, maxSamples } = {}) {
+    if (!isAITurn()) return null;
+
+    const seat = gameState.currentPlayer;
+    const player = resolveAIPlayer(seat, difficulty);
+    const isOpening = getBoardTileCount(gameState.board) === 0;
+    return {
+      seat,
+      board: gameState.board,
+      hand: gameState.hands[seat],
+      ai: { level: player.level, weights: player.weights, noise: player.noise },
+      context: {
+        ...buildAIContext(seat, { timeBudgetMs, maxSamples }),
+        seed: getDecisionSeed(),
+      },
+      forcedTileId: isOpening ? gameState.openingTile?.id ?? null : null,
+    };
+  }
+
+  /**
+   * Hace que el asiento de IA con el turno juegue una ficha
+   * @param {Object} options - Opciones del turno
+   * @param {string} options.difficulty - Dificultad para este turno (por defecto, la del jugador de IA del asiento)
+   * @param {number} options.timeBudgetMs - Tiempo de búsqueda del nivel experto (ms)
+   * @param {number} options.maxSamples - Repartos máximos del nivel experto
+   * @returns {Object|null} Información de la jugada realizada
+   */
+  function aiPlay({ difficulty, timeBudgetMs, maxSamples } = {}) {
+    if (!isAITurn()) {
+      logger.warn("No es el turno de la IA o el juego no está activo");
+      return null;
+    }
+
+    const seat = gameState.currentPlayer;
+    const hand = gameState.hands[seat];
+    const player = resolveAIPlayer(seat, difficulty);
+
+    // La misma semilla que getAIRequest: la partida repite las decisiones
+    // y deshacer las recupera
+    const aiContext = {
+      ...buildAIContext(seat, { timeBudgetMs, maxSamples }),
+      random: createRandom(getDecisionSeed()),
+    };
+
+    // Si la mesa está vacía, salir con la ficha que impone la regla de apertura
+    // o, con salida libre, con la que elija la IA
+    if (getBoardTileCount(gameState.board) === 0) {
+      const openingId =
+        gameState.openingTile?.id ??
+        player.selectBestMove(gameState.board, hand, aiContext)?.tile.id ??
+        hand[0].id;
+      const move = playTileForSeat(seat, openingId);
+      logger.log("🤖", seat, "jugó primera ficha:", move.tile.id);
+      return move;
+    }
+
+    // Usar el jugador de IA del asiento
+    const bestMove = player.selectBestMove(gameState.board, hand, aiContext);
+
+    if (!bestMove) {
+      // No puede jugar, intentar robar del pozo si la regla de robo lo permite
+      if (canDrawFromStock()) {
+        const drawnTile = drawTileForSeat(seat);
+        gameState.lastAction = `${seat}_drew_tile`;
+
+        // CORRECCIÓN: Después de robar, verificar si puede jugar la ficha robada
+        const afterDraw = resolveDraw(seat);
+
+        if (afterDraw === "can-play") {
+          // Puede jugar después de robar, mantener su turno
+          logger.log("🤖", seat, "robó ficha y puede jugar");
+          // Recursión para jugar inmediatamente
+          return aiPlay({ difficulty, timeBudgetMs, maxSamples });
+        } else if (afterDraw === "keep-drawing") {
+          // Robar hasta poder jugar: seguir robando mientras quede pozo
+          return aiPlay({ difficulty, timeBudgetMs, maxSamples });
+        } else {
+          // No puede jugar ni después de robar, pasa turno
+          logger.log("🤖", seat, "robó ficha pero no puede jugar, pasa turno");
+          return { action: "draw", seat, tile: drawnTile };
+        }
       } else {
-        // No puede jugar ni después de robar, pasa turno
-        gameState.currentPlayer = "player";
-        console.log("🤖 Oponente robó ficha pero no puede jugar, pasa turno");
-        return { action: "draw", tile: drawnTile };
+        // Pasar turno
+        passTurnForSeat(seat);
+        logger.log("🤖", seat, "pasó turno");
+        return { action: "pass", seat };
       }
+    }
+
+    // Usar la jugada seleccionada por la IA
+    const move = playTileForSeat(seat, bestMove.tile.id, bestMove.side);
+
+    logger.log("🤖", seat, "jugó ficha:", move.tile.id, "en", move.side, `(+${move.points})`);
+    return move;
+  }
+
+  /**
+   * Roba una ficha del pozo para el jugador
+   * @returns {Object|null} Ficha robada o null si no hay fichas
+   */
+  function playerDrawTile() {
+    if (!isHumanTurn()) {
+      logger.warn("No es el turno del jugador o el juego no está activo");
+      return null;
+    }
+
+    if (gameState.options.drawRule === "block") {
+      logger.warn("En el juego de bloqueo no se roba del pozo");
+      return null;
+    }
+
+    if (gameState.stock.length === 0) {
+      logger.warn("No hay fichas en el pozo");
+      return null;
+    }
+
+    pushUndoPoint(takeSnapshot());
+    const drawnTile = drawTileForSeat(humanSeat);
+    gameState.lastAction = `${humanSeat}_drew_tile`;
+
+    // CORRECCIÓN: Después de robar, verificar si puede jugar la ficha robada
+    const afterDraw = resolveDraw(humanSeat);
+
+    if (afterDraw === "can-play") {
+      // Puede jugar después de robar, mantener su turno
+      logger.log("🎯 Jugador robó ficha y puede jugar");
+      // No cambiar turno
+    } else if (afterDraw === "keep-drawing") {
+      // Robar hasta poder jugar: el turno sigue siendo del jugador
+      logger.log("🎯 Jugador robó ficha, no puede jugar y debe seguir robando");
     } else {
-      // Pasar turno
-      gameState.lastAction = "opponent_passed";
-      gameState.currentPlayer = "player";
-      console.log("🤖 Oponente pasó turno");
-      return { action: "pass" };
+      // No puede jugar ni después de robar, pasa turno
+      logger.log("🎯 Jugador robó ficha pero no puede jugar, pasa turno");
     }
+
+    return drawnTile;
   }
 
-  // Usar la jugada seleccionada por la IA
-  const tile = bestMove.tile;
-  const side = bestMove.side;
-  const tileIndex = gameState.opponentHand.findIndex((t) => t.id === tile.id);
+  /**
+   * Permite al jugador pasar su turno
+   * Solo puede pasar si no tiene fichas jugables y no puede robar
+   * (pozo vacío o juego de bloqueo)
+   * @returns {boolean} True si pudo pasar el turno exitosamente
+   */
+  function playerPassTurn() {
+    if (!isHumanTurn()) {
+      logger.warn("No es el turno del jugador o el juego no está activo");
+      return false;
+    }
 
-  let playInfo;
+    // Verificar si tiene fichas jugables
+    const playableTiles = getSeatPlayableTiles(humanSeat);
 
-  if (side === "left") {
-    playInfo = canPlayLeft(gameState.board, tile);
-  } else {
-    playInfo = canPlayRight(gameState.board, tile);
+    if (playableTiles.length > 0) {
+      logger.warn("No puedes pasar turno, tienes fichas jugables");
+      return false;
+    }
+
+    // Si la regla permite robar y hay pozo, debe robar primero
+    if (canDrawFromStock()) {
+      logger.warn("No puedes pasar turno, debes robar del pozo primero");
+      return false;
+    }
+
+    // Pasar turno
+    pushUndoPoint(takeSnapshot());
+    passTurnForSeat(humanSeat);
+
+    logger.log("🎯 Jugador pasó turno");
+    return true;
   }
 
-  // Realizar jugada
-  let newBoard;
-  if (playInfo.side === "left") {
-    newBoard = placeLeft(gameState.board, playInfo);
-  } else {
-    newBoard = placeRight(gameState.board, playInfo);
+  /**
+   * Aplica una acción registrada para cualquier asiento (reproducción de partidas)
+   * Valida turno y legalidad igual que las acciones del jugador, pero no decide
+   * nada por la IA ni guarda puntos de deshacer.
+   * @param {RecordedMove} move - Acción a aplicar
+   * @returns {string|null} null si es legal, o el motivo por el que no lo es
+   */
+  function applyMove(move) {
+    const seat = move?.seat;
+    if (!gameState || gameState.phase !== "playing") {
+      return "la mano ya ha terminado";
+    }
+    if (!gameState.seats.includes(seat)) {
+      return `asiento desconocido: ${seat}`;
+    }
+    if (!isSeatTurn(seat)) {
+      return `no es el turno de ${seat} sino de ${gameState.currentPlayer}`;
+    }
+
+    switch (move.action) {
+      case "play": {
+        if (!gameState.hands[seat].some((t) => t.id === move.tile)) {
+          return `${seat} no tiene la ficha ${move.tile}`;
+        }
+        const played = playTileForSeat(seat, move.tile, move.side ?? null);
+        return played ? null : `la ficha ${move.tile} no se puede colocar en ${move.side}`;
+      }
+      case "draw":
+        if (!canDrawFromStock()) return "no se puede robar del pozo";
+        drawTileForSeat(seat);
+        gameState.lastAction = `${seat}_drew_tile`;
+        resolveDraw(seat);
+        return null;
+      case "pass":
+        if (!canSeatPass(seat)) return `${seat} no puede pasar: tiene jugada o puede robar`;
+        passTurnForSeat(seat);
+        return null;
+      default:
+        return `acción desconocida: ${move.action}`;
+    }
   }
 
-  // Actualizar estado del juego
-  const newOpponentHand = [...gameState.opponentHand];
-  newOpponentHand.splice(tileIndex, 1);
+  /**
+   * Copia completa del estado actual para deshacer (uso interno)
+   * @returns {{state: GameState, randomState: number}} Estado y generador
+   */
+  function takeSnapshot() {
+    return {
+      state: structuredClone(gameState),
+      randomState: random.getState(),
+    };
+  }
 
-  gameState = {
-    ...gameState,
-    opponentHand: newOpponentHand,
-    board: newBoard,
-    lastAction: `opponent_played_${tile.id}_${playInfo.side}`,
-    currentPlayer: "player",
-  };
+  /**
+   * Restaura una copia del estado (uso interno)
+   * @param {{state: GameState, randomState: number}} snapshot - Copia a restaurar
+   */
+  function restoreSnapshot(snapshot) {
+    gameState = structuredClone(snapshot.state);
+    random.setState(snapshot.randomState);
+  }
 
-  // Verificar si el oponente ganó
-  if (newOpponentHand.length === 0) {
-    const playerScore = calculateHandScore(gameState.playerHand);
-    endGame("opponent", playerScore);
-    return { action: "play", tile, side: playInfo.side, winner: "opponent" };
+  /**
+   * Guarda un punto de deshacer antes de una acción del jugador (uso interno)
+   * Una acción nueva invalida lo que se pudiera rehacer.
+   * @param {{state: GameState, randomState: number}} snapshot - Estado previo
+   */
+  function pushUndoPoint(snapshot) {
+    if (!gameState.options.allowUndo) return;
+
+    undoStack.push(snapshot);
+    if (undoStack.length > MAX_UNDO_LEVELS) undoStack.shift();
+    redoStack = [];
   }
 
-  // Verificar si el juego está bloqueado
-  checkGameBlocked();
+  /**
+   * Indica si se puede deshacer la última acción del jugador
+   * @returns {boolean} True si hay acciones que deshacer
+   */
+  function canUndo() {
+    return !!gameState?.options.allowUndo && undoStack.length > 0;
+  }
 
-  console.log("🤖 Oponente jugó ficha:", tile.id, "en", playInfo.side);
-  return { action: "play", tile, side: playInfo.side };
-}
+  /**
+   * Indica si se puede rehacer una acción deshecha
+   * @returns {boolean} True si hay acciones que rehacer
+   */
+  function canRedo() {
+    return !!gameState?.options.allowUndo && redoStack.length > 0;
+  }
 
-/**
- * Roba una ficha del pozo para el jugador
- * @returns {Object|null} Ficha robada o null si no hay fichas
- */
-export function playerDrawTile() {
-  if (
-    !gameState ||
-    gameState.phase !== "playing" ||
-    gameState.currentPlayer !== "player"
-  ) {
-    console.warn("No es el turno del jugador o el juego no está activo");
-    return null;
-  }
-
-  if (gameState.stock.length === 0) {
-    console.warn("No hay fichas en el pozo");
-    return null;
-  }
-
-  const drawnTile = gameState.stock.pop();
-  gameState.playerHand.push(drawnTile);
-  gameState.lastAction = "player_drew_tile";
-  
-  // CORRECCIÓN: Después de robar, verificar si puede jugar la ficha robada
-  const playableAfterDraw = getPlayableTiles(
-    gameState.board,
-    gameState.playerHand
-  );
-  
-  if (playableAfterDraw.length > 0) {
-    // Puede jugar después de robar, mantener su turno
-    console.log("🎯 Jugador robó ficha y puede jugar");
-    // No cambiar turno
-  } else {
-    // No puede jugar ni después de robar, pasa turno
-    gameState.currentPlayer = "opponent";
-    console.log("🎯 Jugador robó ficha pero no puede jugar, pasa turno");
-  }
-
-  return drawnTile;
-}
+  /**
+   * Deshace la última acción del jugador junto con las respuestas de la IA
+   * Devuelve la partida al momento en que el jugador iba a actuar.
+   * @returns {boolean} True si se pudo deshacer
+   */
+  function undoMove() {
+    if (!canUndo()) {
+      logger.warn("No hay jugadas que deshacer");
+      return false;
+    }
 
-/**
- * Permite al jugador pasar su turno
- * Solo puede pasar si no tiene fichas jugables y el pozo está vacío
- * @returns {boolean} True si pudo pasar el turno exitosamente
- */
-export function playerPassTurn() {
-  if (
-    !gameState ||
-    gameState.phase !== "playing" ||
-    gameState.currentPlayer !== "player"
-  ) {
-    console.warn("No es el turno del jugador o el juego no está activo");
-    return false;
-  }
-
-  // Verificar si tiene fichas jugables
-  const playableTiles = getPlayableTiles(
-    gameState.board,
-    gameState.playerHand
-  );
+    redoStack.push(takeSnapshot());
+    restoreSnapshot(undoStack.pop());
 
-  if (playableTiles.length > 0) {
-    console.warn("No puedes pasar turno, tienes fichas jugables");
-    return false;
+    logger.log("↩️ Jugada deshecha");
+    return true;
   }
 
-  // Si hay fichas en el pozo, debe robar primero
-  if (gameState.stock.length > 0) {
-    console.warn("No puedes pasar turno, debes robar del pozo primero");
-    return false;
+  /**
+   * Rehace la última acción deshecha (con las respuestas de la IA que la siguieron)
+   * @returns {boolean} True si se pudo rehacer
+   */
+  function redoMove() {
+    if (!canRedo()) {
+      logger.warn("No hay jugadas que rehacer");
+      return false;
+    }
+
+    undoStack.push(takeSnapshot());
+    restoreSnapshot(redoStack.pop());
+
+    logger.log("↪️ Jugada rehecha");
+    return true;
   }
 
-  // Pasar turno
-  gameState.lastAction = "player_passed";
-  gameState.currentPlayer = "opponent";
+  /**
+   * Exporta una copia completa de la partida para guardarla
+   * Incluye manos, orden del pozo, mesa con su historial, ronda, puntuaciones,
+   * el estado del generador aleatorio y la dificultad y personalidad de la IA
+   * (las generales y el jugador de cada asiento). Las pilas de deshacer solo
+   * se incluyen si se piden (para volver a la partida tras una repetición).
+   * @param {Object} options - Opciones
+   * @param {boolean} options.withHistory - Incluir las pilas de deshacer y rehacer
+   * @returns {Object|null} Copia serializable de la partida
+   */
+  function exportGame({ withHistory = false } = {}) {
+    if (!gameState) return null;
+
+    return {
+      state: structuredClone(gameState),
+      randomState: random.getState(),
+      aiDifficulty,
+      aiNoise,
+      aiPersonality: structuredClone(aiPersonality),
+      aiPlayers: describeAIPlayers(),
+      ...(withHistory && {
+        undoStack: structuredClone(undoStack),
+        redoStack: structuredClone(redoStack),
+      }),
+    };
+  }
 
-  console.log("🎯 Jugador pasó turno");
+  /**
+   * Restaura una partida exportada con exportGame
+   * Las pilas de deshacer se recuperan si la copia las incluye; si no, se vacían.
+   * @param {Object} saved - Copia de la partida
+   * @param {Object} options - Opciones
+   * @param {boolean} options.silent - No registrar en consola (pasos de una repetición)
+   * @returns {boolean} True si se pudo restaurar
+   */
+  function importGame(saved, { silent = false } = {}) {
+    const state = saved?.state;
+    const isValid =
+      !!state &&
+      Array.isArray(state.seats) &&
+      state.seats.every((seat) => Array.isArray(state.hands?.[seat])) &&
+      Array.isArray(state.stock) &&
+      !!state.board &&
+      !!state.options &&
+      Number.isInteger(saved.randomState);
+
+    if (!isValid) {
+      logger.warn("Partida guardada no válida");
+      return false;
+    }
 
-  // Verificar si el juego está bloqueado
-  checkGameBlocked();
+    gameState = structuredClone(state);
+    random = createRandom(state.seed);
+    random.setState(saved.randomState);
+    if (AI_DIFFICULTIES.includes(saved.aiDifficulty)) {
+      aiDifficulty = saved.aiDifficulty;
+    }
+    aiNoise = Number.isFinite(saved.aiNoise) && saved.aiNoise >= 0 ? saved.aiNoise : 0;
+    if (saved.aiPersonality) {
+      const personality = resolveAIPersonality(saved.aiPersonality);
+      if (personality) aiPersonality = personality;
+    }
+    // Partidas guardadas antes de los jugadores por asiento: todos con la general
+    aiPlayers = {};
+    Object.entries(saved.aiPlayers ?? {}).forEach(([seat, options]) => {
+      try {
+        aiPlayers[seat] = createAIPlayer(options);
+      } catch (e) {
+        logger.warn("Jugador de IA guardado no válido:", seat, e.message);
+      }
+    });
 
-  return true;
-}
+    undoStack = Array.isArray(saved.undoStack) ? structuredClone(saved.undoStack) : [];
+    redoStack = Array.isArray(saved.redoStack) ? structuredClone(saved.redoStack) : [];
 
-/**
- * Roba una ficha del pozo para el oponente (uso interno)
- * @returns {Object|null} Ficha robada
- */
-function drawTileForOpponent() {
-  if (gameState.stock.length === 0) return null;
+    if (silent) return true;
+    logger.log("📂 Partida restaurada:", {
+      seed: gameState.seed,
+      round: gameState.round,
+      phase: gameState.phase,
+    });
+    return true;
+  }
 
-  const drawnTile = gameState.stock.pop();
-  gameState.opponentHand.push(drawnTile);
-  return drawnTile;
-}
+  /**
+   * Verifica si el juego está bloqueado y actualiza el estado
+   */
+  function checkGameBlocked() {
+    if (gameState.phase !== "playing") return;
+
+    // En el tren mexicano los marcadores cambian qué trenes están abiertos:
+    // solo se evalúa tras una vuelta completa sin jugadas (todos marcados)
+    if (
+      isTrainBoard(gameState.board) &&
+      gameState.consecutivePasses < gameState.seats.length
+    ) {
+      return;
+    }
 
-/**
- * Verifica si el juego está bloqueado y actualiza el estado
- */
-function checkGameBlocked() {
-  const blocked = isGameBlocked(
-    gameState.board,
-    gameState.playerHand,
-    gameState.opponentHand,
-    gameState.stock
-  );
+    const blocked = isGameBlocked(
+      gameState.board,
+      gameState.seats.map((seat) => gameState.hands[seat]),
+      // En el juego de bloqueo el pozo no cuenta: nadie puede robar
+      gameState.options.drawRule === "block" ? [] : gameState.stock,
+      gameState.seats
+    );
+
+    if (blocked && !gameState.isBlocked) {
+      gameState.isBlocked = true;
+      gameState.lastAction = "game_blocked";
+
+      // Determinar ganador por menor puntuación de equipo
+      const teamPoints = getTeamPoints();
+      const ranking = Object.entries(teamPoints).sort((a, b) => a[1] - b[1]);
+      const [bestTeam, bestPoints] = ranking[0];
+      const [, secondPoints] = ranking[1];
+
+      if (bestPoints < secondPoints) {
+        // El ganador cobra la diferencia con cada rival (con 2 equipos, la diferencia simple)
+        const score = ranking
+          .slice(1)
+          .reduce((total, [, points]) => total + points - bestPoints, 0);
+        // Sale en la siguiente mano el asiento del equipo ganador con menos puntos en mano
+        const bestSeat = gameState.seats
+          .filter((seat) => gameState.teams[seat] === bestTeam)
+          .reduce((best, seat) =>
+            calculateHandScore(gameState.hands[seat]) <
+            calculateHandScore(gameState.hands[best])
+              ? seat
+              : best
+          );
+        endGame(bestTeam, score, bestSeat);
+      } else {
+        endGame("draw", 0);
+      }
+    }
+  }
 
-  if (blocked && !gameState.isBlocked) {
-    gameState.isBlocked = true;
-    gameState.lastAction = "game_blocked";
+  /**
+   * Suma los puntos que quedan en las manos de cada equipo
+   * @returns {Object<string, number>} Puntos en mano por equipo
+   */
+  function getTeamPoints() {
+    const teamPoints = createTeamCounter(getTeamIds(gameState.teams));
+    gameState.seats.forEach((seat) => {
+      teamPoints[gameState.teams[seat]] += calculateHandScore(
+        gameState.hands[seat]
+      );
+    });
+    return teamPoints;
+  }
+
+  /**
+   * Suma los puntos en mano de todos los equipos rivales de un equipo
+   * @param {string} team - Equipo ganador
+   * @returns {number} Puntos a sumar al ganador
+   */
+  function calculateOpponentsScore(team) {
+    return Object.entries(getTeamPoints())
+      .filter(([otherTeam]) => otherTeam !== team)
+      .reduce((total, [, points]) => total + points, 0);
+  }
 
-    // Determinar ganador por menor puntuación
-    const playerScore = calculateHandScore(gameState.playerHand);
-    const opponentScore = calculateHandScore(gameState.opponentHand);
+  /**
+   * Indica si los puntos son de penalización (tren mexicano)
+   * Cada equipo suma lo que le queda en la mano y gana quien menos acumula.
+   * @returns {boolean} True en el tren mexicano
+   */
+  function isPenaltyScoring() {
+    return gameState.options.variant === "mexican-train";
+  }
 
-    if (playerScore < opponentScore) {
-      const scoreDifference = opponentScore - playerScore;
-      endGame("player", scoreDifference);
-    } else if (opponentScore < playerScore) {
-      const scoreDifference = playerScore - opponentScore;
-      endGame("opponent", scoreDifference);
-    } else {
-      endGame("draw", 0);
+  /**
+   * Finaliza el juego
+   * @param {string} winner - Equipo ganador o 'draw'
+   * @param {number} score - Puntuación a sumar al ganador (en el tren mexicano
+   *   se ignora: cada equipo suma sus propios puntos en mano)
+   * @param {string|null} winnerSeat - Asiento que ganó la mano (sale en la siguiente)
+   */
+  function endGame(winner, score = 0, winnerSeat = null) {
+    // En "todos los cincos" los puntos de mano se redondean al múltiplo de 5 más cercano
+    if (gameState.options.scoring === "all-fives") {
+      score = Math.round(score / 5) * 5;
+    }
+
+    gameState.phase = "finished";
+    gameState.winner = winner;
+    gameState.handWinnerSeat = winnerSeat;
+    gameState.lastAction = `game_ended_${winner}`;
+
+    if (isPenaltyScoring()) {
+      const teamPoints = getTeamPoints();
+      gameState.scores = Object.fromEntries(
+        Object.entries(gameState.scores).map(([team, total]) => [team, total + teamPoints[team]])
+      );
+      score = winner === "draw" ? 0 : teamPoints[winner];
+    } else if (winner !== "draw") {
+      gameState.scores = { ...gameState.scores, [winner]: gameState.scores[winner] + score };
+    }
+    if (winner !== "draw") {
+      gameState.wins = { ...gameState.wins, [winner]: gameState.wins[winner] + 1 };
+    }
+
+    logger.log(`🏆 Juego terminado. Ganador: ${winner}, Puntos: ${score}`);
+
+    checkMatchOver();
+
+    emit("handEnded", {
+      winner,
+      score,
+      winnerSeat,
+      isBlocked: gameState.isBlocked,
+    });
+    if (gameState.phase === "match-over") {
+      emit("matchEnded", { matchWinner: gameState.matchWinner });
     }
   }
-}
 
-/**
- * Calcula la puntuación de una mano
- * @param {Array} hand - Mano del jugador
- * @returns {number} Puntuación total
- */
-function calculateHandScore(hand) {
-  return hand.reduce((total, tile) => total + tile.a + tile.b, 0);
-}
+  /**
+   * Indica si la partida forma parte de un encuentro a varias manos
+   * @returns {boolean} True si hay puntuación objetivo o más de una mano
+   */
+  function isMatchPlay() {
+    return gameState.options.targetScore !== null || gameState.totalRounds > 1;
+  }
 
-/**
- * Finaliza el juego
- * @param {string} winner - Ganador: 'player', 'opponent', 'draw'
- * @param {number} score - Puntuación a sumar al ganador
- */
-function endGame(winner, score = 0) {
-  gameState.phase = "finished";
-  gameState.winner = winner;
-  gameState.lastAction = `game_ended_${winner}`;
+  /**
+   * Comprueba al final de cada mano si el encuentro ha terminado
+   * - A puntos: gana el primer equipo que alcanza el objetivo (si varios lo
+   *   alcanzan a la vez, el de más puntos; si empatan, se sigue jugando).
+   *   En el tren mexicano, cuando alguien lo alcanza gana quien menos tiene.
+   * - Al mejor de N: gana quien asegura la mayoría de manos o, jugadas todas,
+   *   quien más ganó (desempate por puntos)
+   */
+  function checkMatchOver() {
+    if (!isMatchPlay()) return;
+
+    const { targetScore } = gameState.options;
+    // Orden de mejor a peor puntuación
+    const byBetterScore = isPenaltyScoring() ? (a, b) => a[1] - b[1] : (a, b) => b[1] - a[1];
+    const byScore = Object.entries(gameState.scores).sort(byBetterScore);
+    const highestScore = Math.max(...Object.values(gameState.scores));
+    let matchWinner = null;
+
+    if (targetScore !== null && highestScore >= targetScore) {
+      if (byScore[0][1] !== byScore[1][1]) matchWinner = byScore[0][0];
+    }
 
-  if (winner === "player") {
-    gameState.playerScore += score;
-    gameState.playerWins += 1;
-  } else if (winner === "opponent") {
-    gameState.opponentScore += score;
-    gameState.opponentWins += 1;
+    if (!matchWinner && gameState.totalRounds > 1) {
+      const byWins = Object.entries(gameState.wins).sort((a, b) => b[1] - a[1]);
+      const handsToWin = Math.floor(gameState.totalRounds / 2) + 1;
+
+      if (byWins[0][1] >= handsToWin) {
+        matchWinner = byWins[0][0];
+      } else if (gameState.round >= gameState.totalRounds) {
+        // Jugadas todas las manos: más manos ganadas, luego mejor puntuación
+        const tied = byWins.filter(([, wins]) => wins === byWins[0][1]);
+        const ranking = tied
+          .map(([team]) => [team, gameState.scores[team]])
+          .sort(byBetterScore);
+        matchWinner =
+          ranking.length === 1 || ranking[0][1] !== ranking[1][1]
+            ? ranking[0][0]
+            : "draw";
+      }
+    }
+
+    if (matchWinner) {
+      gameState.phase = "match-over";
+      gameState.matchWinner = matchWinner;
+      gameState.lastAction = `match_ended_${matchWinner}`;
+      logger.log(`🏁 Encuentro terminado. Ganador: ${matchWinner}`);
+    }
   }
 
-  console.log(`🏆 Juego terminado. Ganador: ${winner}, Puntos: ${score}`);
-}
+  /**
+   * Decide qué asiento sale en la siguiente mano según la regla de salida
+   * @returns {string} Valor de startingPlayer para initGame
+   */
+  function getNextHandLeader() {
+    if (
+      gameState?.options.leaderRule === "winner" &&
+      gameState.handWinnerSeat
+    ) {
+      return gameState.handWinnerSeat;
+    }
+    // Primera mano, empate o regla del doble: sale el doble más alto
+    return "double";
+  }
 
-/**
- * Obtiene fichas jugables para el jugador actual
- * @returns {Array} Fichas jugables con información de jugada
- */
-export function getCurrentPlayerPlayableTiles() {
-  if (!gameState || gameState.phase !== "playing") return [];
+  /**
+   * Obtiene fichas jugables para el jugador actual
+   * @returns {Array} Fichas jugables con información de jugada
+   */
+  function getCurrentPlayerPlayableTiles() {
+    if (!gameState || gameState.phase !== "playing") return [];
 
-  if (gameState.currentPlayer === "player") {
-    return getPlayableTiles(gameState.board, gameState.playerHand);
-  } else {
-    return getPlayableTiles(gameState.board, gameState.opponentHand);
+    return getSeatPlayableTiles(gameState.currentPlayer);
   }
-}
 
-/**
- * Reinicia el juego manteniendo las puntuaciones
- * @returns {GameState} Nuevo estado del juego
- */
-export function restartGame() {
-  const options = gameState?.options || {};
-  const playerScore = gameState?.playerScore || 0;
-  const opponentScore = gameState?.opponentScore || 0;
-  const playerWins = gameState?.playerWins || 0;
-  const opponentWins = gameState?.opponentWins || 0;
-  const round = (gameState?.round || 0) + 1;
-
-  initGame({
-    ...options,
-    currentRound: round,
-  });
-
-  if (gameState) {
-    gameState.playerScore = playerScore;
-    gameState.opponentScore = opponentScore;
-    gameState.playerWins = playerWins;
-    gameState.opponentWins = opponentWins;
-  }
-
-  return gameState;
-}
+  /**
+   * Cuenta las fichas en mano de cada asiento (uso interno)
+   * @returns {Object<string, number>} Fichas por asiento
+   */
+  function getHandSizes() {
+    return Object.fromEntries(
+      gameState.seats.map((seat) => [seat, gameState.hands[seat].length])
+    );
+  }
 
-/**
- * Reinicia completamente el juego (puntuaciones a cero)
- * @returns {GameState} Nuevo estado del juego
- */
-export function resetGame() {
-  const options = gameState?.options || {};
+  /**
+   * Calcula lo que un asiento sabe de las manos que no ve: fichas ocultas,
+   * valores que les faltan a los demás (por sus pases y robos) y la
+   * probabilidad de cada ficha en cada mano
+   * @param {string} seat - Asiento que observa (por defecto, el humano)
+   * @returns {import('./inference.js').HandInference|null} Inferencia o null sin partida
+   */
+  function getInference(seat = humanSeat ?? HUMAN_SEAT) {
+    if (!gameState?.hands[seat]) return null;
+
+    return inferHands({
+      seat,
+      hand: gameState.hands[seat],
+      board: gameState.board,
+      history: gameState.moves,
+      seats: gameState.seats,
+      handSizes: getHandSizes(),
+      stockCount: gameState.stock.length,
+      maxPip: gameState.options.maxPip,
+      // El humano puede robar teniendo jugada; que lo sea es público, lo que
+      // tenía en la mano no
+      voluntaryDrawSeats: humanSeat === null ? [] : [humanSeat],
+    });
+  }
 
-  initGame({
-    ...options,
-    currentRound: 1,
-  });
+  /**
+   * Pistas que le quedan al humano en el encuentro
+   * @returns {number|null} Pistas restantes o null si no hay límite
+   */
+  function getHintsLeft() {
+    const budget = gameState?.options.hintBudget ?? null;
+    if (budget === null) return null;
+    return Math.max(0, budget - (gameState.hintsUsed ?? 0));
+  }
 
-  if (gameState) {
-    gameState.playerScore = 0;
-    gameState.opponentScore = 0;
-    gameState.playerWins = 0;
-    gameState.opponentWins = 0;
+  /**
+   * Recomienda la jugada del humano y gasta una pista del presupuesto
+   * Ordena todas sus jugadas legales con el evaluador de la IA (rankMoves),
+   * con lo que el humano puede deducir de las otras manos.
+   * @returns {{moves: import('./ai.js').RankedMove[], hintsLeft: number|null}|null}
+   *   Jugadas de mejor a peor y pistas restantes, o null si no es su turno,
+   *   no tiene jugadas o no le quedan pistas
+   */
+  function useHint() {
+    const seat = humanSeat;
+    if (!isHumanTurn()) {
+      logger.warn("Pista no disponible: no es el turno del jugador");
+      return null;
+    }
+    if (!gameState.options.enableHints) {
+      logger.warn("Las pistas están desactivadas en esta partida");
+      return null;
+    }
+    if (getHintsLeft() === 0) {
+      logger.warn("No quedan pistas en este encuentro");
+      return null;
+    }
+
+    const playableTiles = getSeatPlayableTiles(seat);
+    if (playableTiles.length === 0) return null;
+
+    const moves = rankMoves(
+      gameState.board,
+      gameState.hands[seat],
+      playableTiles,
+      buildAIContext(seat, {})
+    );
+    gameState.hintsUsed = (gameState.hintsUsed ?? 0) + 1;
+    logger.log("💡 Pista:", moves[0].tile.id, "en", moves[0].side, `(${moves[0].reason})`);
+
+    return { moves, hintsLeft: getHintsLeft() };
   }
 
-  return gameState;
-}
+  /**
+   * Fichas jugables de un asiento respetando la regla de apertura (uso interno)
+   * @param {string} seat - Asiento a consultar
+   * @returns {Array} Fichas jugables con información de jugada
+   */
+  function getSeatPlayableTiles(seat) {
+    const playable = getPlayableTiles(
+      gameState.board,
+      gameState.hands[seat],
+      seat
+    );
+
+    if (gameState.openingTile && getBoardTileCount(gameState.board) === 0) {
+      return playable.filter((p) => p.tile.id === gameState.openingTile.id);
+    }
 
-/**
- * Obtiene estadísticas del juego
- * @returns {Object} Estadísticas
- */
-export function getGameStats() {
-  if (!gameState) return null;
+    return playable;
+  }
 
-  const playerPlayable = getPlayableTiles(
-    gameState.board,
-    gameState.playerHand
-  );
-  const opponentPlayable = getPlayableTiles(
-    gameState.board,
-    gameState.opponentHand
-  );
+  /**
+   * Reparte la siguiente mano manteniendo las puntuaciones
+   * Si el encuentro ya terminó, empieza uno nuevo desde cero.
+   * @returns {GameState} Nuevo estado del juego
+   */
+  function restartGame() {
+    if (gameState?.phase === "match-over") {
+      return resetGame();
+    }
+
+    const options = gameState?.options || {};
+    const scores = { ...gameState?.scores };
+    const wins = { ...gameState?.wins };
+    const hintsUsed = gameState?.hintsUsed ?? 0;
+    const round = (gameState?.round || 0) + 1;
+
+    initGame({
+      ...options,
+      startingPlayer: getNextHandLeader(),
+      currentRound: round,
+      // La semilla de cada mano sale de la anterior: el encuentro entero se repite
+      seed: random.nextUint32(),
+    });
+
+    if (gameState) {
+      gameState.scores = { ...gameState.scores, ...scores };
+      gameState.wins = { ...gameState.wins, ...wins };
+      // El presupuesto de pistas es del encuentro, no de cada mano
+      gameState.hintsUsed = hintsUsed;
+    }
+
+    return gameState;
+  }
+
+  /**
+   * Reinicia completamente el juego (puntuaciones a cero)
+   * @returns {GameState} Nuevo estado del juego
+   */
+  function resetGame() {
+    const options = gameState?.options || {};
+
+    return initGame({
+      ...options,
+      currentRound: 1,
+    });
+  }
+
+  /**
+   * Obtiene estadísticas del juego
+   * @returns {Object} Estadísticas
+   */
+  function getGameStats() {
+    if (!gameState) return null;
+
+    const handCounts = {};
+    gameState.seats.forEach((seat) => {
+      handCounts[seat] = gameState.hands[seat].length;
+    });
+
+    const playerSeat = humanSeat ?? HUMAN_SEAT;
+    const playerPlayable = getSeatPlayableTiles(playerSeat);
+    const isPlayerTurn = isHumanTurn();
+
+    return {
+      phase: gameState.phase,
+      mode: gameState.mode,
+      variant: gameState.variant,
+      seats: gameState.seats,
+      currentPlayer: gameState.currentPlayer,
+      handCounts,
+      playerTilesCount: handCounts[playerSeat],
+      opponentTilesCount: handCounts.opponent,
+      stockCount: gameState.stock.length,
+      boardCount: getBoardTileCount(gameState.board),
+      playerPlayableTiles: playerPlayable.length,
+      canPlayerDraw: isPlayerTurn && canDrawFromStock(),
+      canPlayerPass: isPlayerTurn && canSeatPass(playerSeat),
+      teamPoints: getTeamPoints(),
+      scores: { ...gameState.scores },
+      playerScore: gameState.scores.player,
+      opponentScore: gameState.scores.opponent,
+      isBlocked: gameState.isBlocked,
+      winner: gameState.winner,
+      matchWinner: gameState.matchWinner,
+      isMatchPlay: isMatchPlay(),
+      targetScore: gameState.options.targetScore,
+      leaderRule: gameState.options.leaderRule,
+      openingTile: getBoardTileCount(gameState.board) === 0 ? gameState.openingTile : null,
+      allowUndo: gameState.options.allowUndo,
+      hintBudget: gameState.options.hintBudget ?? null,
+      hintsLeft: getHintsLeft(),
+      canUndo: canUndo(),
+      canRedo: canRedo(),
+      maxPip: gameState.options.maxPip,
+      scoring: gameState.options.scoring,
+      spinner: gameState.options.spinner,
+      drawRule: gameState.options.drawRule,
+      openEndsSum: getOpenEndsSum(gameState.board),
+      round: gameState.round,
+      totalRounds: gameState.totalRounds,
+      wins: { ...gameState.wins },
+      playerWins: gameState.wins.player,
+      opponentWins: gameState.wins.opponent,
+      aiDifficulty,
+      aiNoise,
+      aiPersonality: aiPersonality.id,
+      aiPersonalityName: aiPersonality.name,
+    };
+  }
+
+  /**
+   * Cambia la dificultad de todos los asientos de IA (conservan sus pesos)
+   * @param {string} difficulty - 'easy', 'medium', 'hard' o 'expert'
+   * @param {Object} options - Ajustes finos
+   * @param {number} options.noise - Azar de la heurística (0: juega su mejor jugada)
+   */
+  function changeAIDifficulty(difficulty, { noise = 0 } = {}) {
+    if (!AI_DIFFICULTIES.includes(difficulty)) {
+      logger.warn("Dificultad de IA desconocida:", difficulty);
+      return;
+    }
+    if (!Number.isFinite(noise) || noise < 0) {
+      logger.warn("Azar de IA no válido:", noise);
+      return;
+    }
+    aiDifficulty = difficulty;
+    aiNoise = noise;
+    Object.entries(aiPlayers).forEach(([seat, player]) => {
+      aiPlayers[seat] = createAIPlayer({
+        level: difficulty,
+        weights: player.weights,
+        noise,
+        random: player.random,
+      });
+    });
+    logger.log(
+      `🎮 Dificultad de IA cambiada a: ${difficulty}${noise ? ` (azar ${noise})` : ""}`
+    );
+  }
+
+  /**
+   * Obtiene una personalidad a partir de su id o de un perfil (uso interno)
+   * @param {string|Object} personality - Id de AI_PERSONALITIES o perfil de pesos
+   * @returns {import('./ai.js').AIPersonality|null} Personalidad o null si no es válida
+   */
+  function resolveAIPersonality(personality) {
+    if (typeof personality === "string" || AI_PERSONALITIES[personality?.id]) {
+      const id = personality.id ?? personality;
+      if (AI_PERSONALITIES[id]) return AI_PERSONALITIES[id];
+      logger.warn("Personalidad de IA desconocida:", id);
+      return null;
+    }
+
+    try {
+      return parseAIPersonality(personality);
+    } catch (e) {
+      logger.warn("Perfil de IA no válido:", e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cambia la personalidad de todos los asientos de IA (conservan su nivel)
+   * @param {string|Object} personality - Id de AI_PERSONALITIES ('blocker',
+   *   'dumper'...) o perfil personalizado {name, description, weights}
+   * @returns {boolean} True si se aplicó
+   */
+  function changeAIPersonality(personality) {
+    const resolved = resolveAIPersonality(personality);
+    if (!resolved) return false;
+
+    aiPersonality = resolved;
+    Object.entries(aiPlayers).forEach(([seat, player]) => {
+      aiPlayers[seat] = createAIPlayer({
+        level: player.level,
+        weights: resolved.weights,
+        noise: player.noise,
+        random: player.random,
+      });
+    });
+    logger.log(`🎭 Personalidad de IA cambiada a: ${resolved.name}`);
+    return true;
+  }
 
   return {
-    phase: gameState.phase,
-    currentPlayer: gameState.currentPlayer,
-    playerTilesCount: gameState.playerHand.length,
-    opponentTilesCount: gameState.opponentHand.length,
-    stockCount: gameState.stock.length,
-    boardCount: gameState.board.tiles.length,
-    playerPlayableTiles: playerPlayable.length,
-    opponentPlayableTiles: opponentPlayable.length,
-    playerScore: gameState.playerScore,
-    opponentScore: gameState.opponentScore,
-    isBlocked: gameState.isBlocked,
-    winner: gameState.winner,
-    round: gameState.round,
-    totalRounds: gameState.totalRounds,
-    playerWins: gameState.playerWins,
-    opponentWins: gameState.opponentWins,
-    aiDifficulty: getAIDifficulty(),
+    initGame,
+    getGameState,
+    playerPlay,
+    aiPlay,
+    playerDrawTile,
+    playerPassTurn,
+    applyMove,
+    canUndo,
+    canRedo,
+    undoMove,
+    redoMove,
+    exportGame,
+    importGame,
+    getCurrentPlayerPlayableTiles,
+    getInference,
+    getHintsLeft,
+    useHint,
+    getAIRequest,
+    getAIPlayer,
+    setAIPlayer,
+    restartGame,
+    resetGame,
+    getGameStats,
+    changeAIDifficulty,
+    changeAIPersonality,
+    on,
+    off,
+    withEventsMuted,
   };
 }
 
 /**
- * Cambia la dificultad de la IA
- * @param {string} difficulty - 'easy', 'medium', 'hard'
+ * Partida independiente del motor
+ * @typedef {Object} GameInstance
+ * @property {function(Object): GameState} initGame - Reparte una mano nueva
+ * @property {function(): GameState} getGameState - Estado actual
+ * @property {function(string, string=): Object|null} playerPlay - Jugada del humano
+ * @property {function(Object=): Object|null} aiPlay - Turno del asiento de IA que tiene el turno
+ * @property {function(): Object|null} playerDrawTile - Robo del humano
+ * @property {function(): boolean} playerPassTurn - Pase del humano
+ * @property {function(RecordedMove): string|null} applyMove - Acción registrada de cualquier asiento
+ * @property {function(): boolean} canUndo - Hay acciones que deshacer
+ * @property {function(): boolean} canRedo - Hay acciones que rehacer
+ * @property {function(): boolean} undoMove - Deshace la última acción del humano
+ * @property {function(): boolean} redoMove - Rehace la acción deshecha
+ * @property {function(Object=): Object|null} exportGame - Copia serializable de la partida (con { withHistory: true }, también las pilas de deshacer)
+ * @property {function(Object, Object=): boolean} importGame - Restaura una copia
+ * @property {function(): Array} getCurrentPlayerPlayableTiles - Fichas jugables del asiento con el turno
+ * @property {function(string=): Object|null} getInference - Lo que un asiento deduce de las manos ajenas
+ * @property {function(): number|null} getHintsLeft - Pistas que le quedan al humano
+ * @property {function(): Object|null} useHint - Recomienda la jugada del humano (gasta una pista)
+ * @property {function(Object=): AIRequest|null} getAIRequest - Decisión pendiente de la IA para calcularla aparte
+ * @property {function(string): Object} getAIPlayer - Jugador de IA de un asiento
+ * @property {function(string, Object): Object} setAIPlayer - Asigna a un asiento su jugador de IA
+ * @property {function(): GameState} restartGame - Siguiente mano del encuentro
+ * @property {function(): GameState} resetGame - Encuentro nuevo
+ * @property {function(): Object|null} getGameStats - Estadísticas
+ * @property {function(string, Object=): void} changeAIDifficulty - Cambia la dificultad (y el azar) de la IA
+ * @property {function((string|Object)): boolean} changeAIPersonality - Cambia la personalidad de la IA
+ * @property {function(string, Function): Function} on - Suscribe a un evento
+ * @property {function(string, Function): void} off - Cancela una suscripción
+ * @property {function(Function): *} withEventsMuted - Ejecuta sin emitir eventos
  */
-export function changeAIDifficulty(difficulty) {
-  setAIDifficulty(difficulty);
-  console.log(`🎮 Dificultad de IA cambiada a: ${difficulty}`);
+
+/**
+ * Crea una partida independiente y reparte su primera mano
+ * No depende del DOM ni de window: varias partidas pueden jugarse a la vez,
+ * también en Node (simulaciones, servidor).
+ * @param {Object} options - Opciones de initGame, más:
+ * @param {GameLogger} options.logger - Destino de los mensajes (SILENT_LOGGER para callarlos)
+ * @param {string} options.aiDifficulty - Dificultad de la IA: 'easy', 'medium', 'hard' o 'expert'
+ * @param {Object<string, Object>} options.aiPlayers - Jugador de IA propio de algunos
+ *   asientos, p. ej. { opponent: { level: 'hard' }, partner: { level: 'easy' } }
+ * @param {string|null} options.humanSeat - Asiento del humano; null para que la IA
+ *   juegue todos los asientos (partidas IA contra IA)
+ * @returns {GameInstance} Partida lista para jugar
+ */
+export function createGame(options = {}) {
+  const { logger, aiDifficulty, aiPlayers, humanSeat, ...handOptions } =
+    options;
+  const game = buildGame({ logger, aiDifficulty, aiPlayers, humanSeat });
+  game.initGame(handOptions);
+  return game;
 }
+
+// Partida por defecto del módulo (la interfaz del navegador)
+const defaultGame = buildGame();
+
+export const {
+  initGame,
+  getGameState,
+  playerPlay,
+  aiPlay,
+  playerDrawTile,
+  playerPassTurn,
+  applyMove,
+  canUndo,
+  canRedo,
+  undoMove,
+  redoMove,
+  exportGame,
+  importGame,
+  getCurrentPlayerPlayableTiles,
+  getInference,
+  getHintsLeft,
+  useHint,
+  getAIRequest,
+  getAIPlayer,
+  setAIPlayer,
+  restartGame,
+  resetGame,
+  getGameStats,
+  changeAIDifficulty,
+  changeAIPersonality,
+  on,
+  off,
+  withEventsMuted,
+} = defaultGame;
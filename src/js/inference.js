@@ -0,0 +1,251 @@
+/**
+ * Inferencia de las manos ocultas a partir de lo que se ve en la mesa
+ * Desde el punto de vista de un asiento: qué fichas no ha visto, qué valores
+ * sabe que le faltan a cada rival (quien pasa o roba con un 3 y un 5 en los
+ * extremos no tiene ni treses ni cincos) y la probabilidad de que cada ficha
+ * oculta esté en cada mano o en el pozo. La usan los niveles de la IA y las
+ * pistas del jugador.
+ * @module Inference
+ */
+
+import {
+  initBoard,
+  canPlaySide,
+  placeOnSide,
+  getAvailableSides,
+  getEndValue,
+  isTrainBoard,
+  countRemainingTilesWithValue,
+} from "./board.js";
+import { generateTiles } from "./tiles.js";
+
+/**
+ * Poseedor de las fichas que no están en ninguna mano
+ * @type {string}
+ */
+export const STOCK_HOLDER = "stock";
+
+/**
+ * Iteraciones del ajuste de probabilidades (converge en pocas vueltas)
+ * @type {number}
+ */
+const FITTING_ITERATIONS = 50;
+
+/**
+ * Lo que un asiento puede deducir de las manos que no ve
+ * @typedef {Object} HandInference
+ * @property {string} seat - Asiento que observa
+ * @property {Array} unseen - Fichas que no están en su mano ni en la mesa
+ * @property {Object<string, number[]>} missing - Valores que se sabe que no tiene cada asiento
+ * @property {number[]} unseenByValue - Fichas ocultas con cada valor (índice = valor)
+ * @property {Object<string, Object<string, number>>} probabilities -
+ *   Probabilidad de cada ficha oculta por poseedor (asientos y STOCK_HOLDER)
+ */
+
+/**
+ * Obtiene las fichas colocadas en la mesa (línea y brazos, o máquina y trenes)
+ * @param {Object} board - Estado de la mesa
+ * @returns {Array} Fichas de la mesa
+ */
+export function getBoardTiles(board) {
+  if (isTrainBoard(board)) {
+    return [
+      board.engine,
+      ...Object.values(board.trains).flatMap((train) => train.tiles),
+    ];
+  }
+
+  return [...board.tiles, ...(board.north || []), ...(board.south || [])];
+}
+
+/**
+ * Deduce qué valores no tiene cada asiento a partir del historial de jugadas
+ * Reconstruye la mesa jugada a jugada: quien pasa no tiene ningún valor de
+ * los extremos de ese momento; quien roba tampoco los tenía, pero la ficha
+ * robada es desconocida, así que solo se mantienen los de ese robo. Los
+ * robos de un asiento que puede robar teniendo jugada (el humano) no
+ * demuestran nada y la ficha robada puede llevar cualquier valor: se olvida
+ * lo deducido de ese asiento.
+ * En el tren mexicano no se deduce nada: los lados dependen de los marcadores.
+ * @param {Array} history - Jugadas de la mano (gameState.moves)
+ * @param {Object} rules - Reglas de la mesa
+ * @param {number} rules.maxPip - Valor máximo del juego de fichas
+ * @param {boolean} rules.spinner - Si la mesa tiene spinner
+ * @param {string[]} rules.voluntaryDrawSeats - Asientos que pueden robar teniendo jugada
+ * @returns {Object<string, number[]>} Valores ausentes por asiento (ordenados)
+ */
+export function findMissingValues(history, { maxPip, spinner = false, voluntaryDrawSeats = [] }) {
+  const tilesById = new Map(
+    generateTiles(maxPip).map((tile) => [tile.id, tile])
+  );
+  const missing = {};
+  let board = initBoard({ spinner });
+
+  for (const move of history) {
+    const ends = getAvailableSides(board)
+      .map((side) => getEndValue(board, side))
+      .filter((value) => value !== null);
+
+    if (move.action === "play") {
+      const tile = tilesById.get(move.tile);
+      const playInfo = tile && canPlaySide(board, tile, move.side);
+      // Historial incompleto (partida migrada) o de trenes: mejor no deducir nada
+      if (!playInfo) return {};
+      board = placeOnSide(board, playInfo);
+    } else if (move.action === "draw" && voluntaryDrawSeats.includes(move.seat)) {
+      delete missing[move.seat];
+    } else if (move.action === "draw") {
+      missing[move.seat] = new Set(ends);
+    } else {
+      missing[move.seat] = new Set([...(missing[move.seat] ?? []), ...ends]);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(missing).map(([seat, values]) => [
+      seat,
+      [...values].sort((a, b) => a - b),
+    ])
+  );
+}
+
+/**
+ * Reparte la probabilidad de cada ficha oculta entre sus posibles poseedores
+ * Ajuste proporcional iterativo: cada ficha suma 1 entre los poseedores que
+ * pueden tenerla y cada poseedor suma las fichas que tiene. Es una
+ * aproximación (no cuenta repartos exactos), suficiente para decidir.
+ * @param {Array} unseen - Fichas ocultas
+ * @param {Object<string, number>} capacity - Fichas de cada poseedor
+ * @param {Object<string, number[]>} missing - Valores ausentes por asiento
+ * @returns {Object<string, Object<string, number>>} Probabilidad por ficha y poseedor
+ */
+function fitProbabilities(unseen, capacity, missing) {
+  const holders = Object.keys(capacity).filter((holder) => capacity[holder] > 0);
+  const canHold = (tile, holder) =>
+    !(missing[holder] ?? []).some((value) => tile.a === value || tile.b === value);
+
+  const matrix = unseen.map((tile) =>
+    holders.map((holder) => (canHold(tile, holder) ? 1 : 0))
+  );
+
+  for (let iteration = 0; iteration < FITTING_ITERATIONS; iteration++) {
+    // Columnas: cada poseedor tiene exactamente sus fichas
+    holders.forEach((holder, column) => {
+      const total = matrix.reduce((sum, row) => sum + row[column], 0);
+      if (total === 0) return;
+      matrix.forEach((row) => {
+        row[column] *= capacity[holder] / total;
+      });
+    });
+
+    // Filas: cada ficha está en algún sitio
+    matrix.forEach((row) => {
+      const total = row.reduce((sum, value) => sum + value, 0);
+      if (total === 0) return;
+      row.forEach((value, column) => {
+        row[column] = value / total;
+      });
+    });
+  }
+
+  return Object.fromEntries(
+    unseen.map((tile, i) => [
+      tile.id,
+      Object.fromEntries(holders.map((holder, column) => [holder, matrix[i][column]])),
+    ])
+  );
+}
+
+/**
+ * Calcula lo que un asiento sabe de las manos que no ve
+ * @param {Object} view - Información pública más la mano propia
+ * @param {string} view.seat - Asiento que observa
+ * @param {Array} view.hand - Su mano
+ * @param {Object} view.board - Estado de la mesa
+ * @param {Array} view.history - Jugadas de la mano
+ * @param {string[]} view.seats - Asientos de la partida
+ * @param {Object<string, number>} view.handSizes - Fichas en mano de cada asiento
+ * @param {number} view.stockCount - Fichas en el pozo
+ * @param {number} view.maxPip - Valor máximo del juego de fichas
+ * @param {string[]} view.voluntaryDrawSeats - Asientos que pueden robar teniendo jugada
+ * @returns {HandInference} Inferencia
+ */
+export function inferHands({
+  seat,
+  hand,
+  board,
+  history = [],
+  seats,
+  handSizes,
+  stockCount,
+  maxPip,
+  voluntaryDrawSeats = [],
+}) {
+  const allTiles = generateTiles(maxPip);
+  const boardTiles = getBoardTiles(board);
+  const known = new Set([...hand, ...boardTiles].map((tile) => tile.id));
+  const unseen = allTiles.filter((tile) => !known.has(tile.id));
+
+  const missing = isTrainBoard(board)
+    ? {}
+    : findMissingValues(history, {
+        maxPip,
+        spinner: board.spinnerEnabled,
+        voluntaryDrawSeats,
+      });
+  delete missing[seat];
+
+  const unseenByValue = [];
+  for (let value = 0; value <= maxPip; value++) {
+    unseenByValue.push(
+      countRemainingTilesWithValue(allTiles, boardTiles, hand, [], value)
+    );
+  }
+
+  const capacity = { [STOCK_HOLDER]: stockCount };
+  seats
+    .filter((other) => other !== seat)
+    .forEach((other) => {
+      capacity[other] = handSizes[other];
+    });
+
+  return {
+    seat,
+    unseen,
+    missing,
+    unseenByValue,
+    probabilities: fitProbabilities(unseen, capacity, missing),
+  };
+}
+
+/**
+ * Probabilidad de que una ficha oculta esté en manos de un poseedor
+ * @param {HandInference} inference - Inferencia de inferHands
+ * @param {string} tileId - Ficha
+ * @param {string} holder - Asiento o STOCK_HOLDER
+ * @returns {number} Probabilidad entre 0 y 1 (0 si la ficha no está oculta)
+ */
+export function getTileProbability(inference, tileId, holder) {
+  return inference.probabilities[tileId]?.[holder] ?? 0;
+}
+
+/**
+ * Probabilidad de que un asiento tenga alguna ficha con un valor
+ * Trata las fichas como independientes (aproximación).
+ * @param {HandInference} inference - Inferencia de inferHands
+ * @param {string} holder - Asiento o STOCK_HOLDER
+ * @param {number} value - Valor buscado
+ * @returns {number} Probabilidad entre 0 y 1
+ */
+export function getValueProbability(inference, holder, value) {
+  if (inference.missing[holder]?.includes(value)) return 0;
+
+  const none = inference.unseen
+    .filter((tile) => tile.a === value || tile.b === value)
+    .reduce(
+      (product, tile) =>
+        product * (1 - getTileProbability(inference, tile.id, holder)),
+      1
+    );
+  return 1 - none;
+}
@@ -0,0 +1,362 @@
+/**
+ * Búsqueda Monte Carlo con determinización (nivel experto de la IA)
+ * La IA no ve las manos rivales: reparte al azar las fichas ocultas de forma
+ * coherente con lo jugado y con los pases y robos vistos (quien pasa con un
+ * 3 y un 5 en los extremos no tiene ni treses ni cincos), juega cada jugada
+ * candidata hasta el final de la mano en ese reparto y se queda con la de
+ * mejor resultado medio. Repite repartos mientras dure su presupuesto de
+ * tiempo.
+ * @module MonteCarlo
+ */
+
+import {
+  canPlaySide,
+  placeOnSide,
+  getPlayableTiles,
+  getOpenEndsSum,
+} from "./board.js";
+import { inferHands } from "./inference.js";
+
+/**
+ * Presupuesto de tiempo por decisión cuando la partida no indica el suyo (ms)
+ * @type {number}
+ */
+export const DEFAULT_TIME_BUDGET_MS = 300;
+
+/**
+ * Repartos máximos por decisión (corta antes si sobra presupuesto)
+ * @type {number}
+ */
+export const DEFAULT_MAX_SAMPLES = 2000;
+
+/**
+ * Puntos que equivalen a una mano ganada al valorar un resultado
+ * Ganar manda; los puntos solo desempatan entre victorias (o derrotas).
+ * @type {number}
+ */
+const POINTS_PER_WIN = 100;
+
+/**
+ * Reintentos de reparto antes de ignorar las fichas que se saben ausentes
+ * @type {number}
+ */
+const MAX_DEAL_ATTEMPTS = 20;
+
+/**
+ * Marca de tiempo en milisegundos (navegador y Node)
+ * @returns {number} Milisegundos
+ */
+function now() {
+  return globalThis.performance?.now() ?? Date.now();
+}
+
+/**
+ * Indica si una ficha lleva alguno de los valores dados
+ * @param {Object} tile - Ficha
+ * @param {number[]} values - Valores
+ * @returns {boolean} True si la ficha tiene alguno
+ */
+function hasAnyValue(tile, values) {
+  return values.includes(tile.a) || values.includes(tile.b);
+}
+
+/**
+ * Reparte al azar las fichas ocultas entre los demás asientos y el pozo
+ * Primero los asientos con más valores ausentes; si no hay reparto coherente
+ * tras varios intentos, se reparte sin restricciones.
+ * @param {Array} unseen - Fichas que la IA no ve
+ * @param {Object} rules - Reglas y contexto de la búsqueda
+ * @param {Object<string, number[]>} missing - Valores ausentes por asiento
+ * @returns {{hands: Object<string, Array>, stock: Array}} Reparto
+ */
+function sampleDeal(unseen, rules, missing) {
+  const others = rules.seats
+    .filter((seat) => seat !== rules.seat)
+    .sort((a, b) => (missing[b]?.length ?? 0) - (missing[a]?.length ?? 0));
+
+  for (let attempt = 0; attempt <= MAX_DEAL_ATTEMPTS; attempt++) {
+    const ignoreMissing = attempt === MAX_DEAL_ATTEMPTS;
+    let pool = rules.random.shuffle(unseen);
+    const hands = {};
+
+    const complete = others.every((seat) => {
+      const absent = ignoreMissing ? null : missing[seat];
+      const size = rules.handSizes[seat];
+      const hand = [];
+      const rest = [];
+
+      pool.forEach((tile) => {
+        if (hand.length < size && !(absent && hasAnyValue(tile, absent))) {
+          hand.push(tile);
+        } else {
+          rest.push(tile);
+        }
+      });
+
+      hands[seat] = hand;
+      pool = rest;
+      return hand.length === size;
+    });
+
+    if (complete) return { hands, stock: pool };
+  }
+
+  // Inalcanzable: sin restricciones siempre hay reparto si los tamaños cuadran
+  return { hands: {}, stock: [] };
+}
+
+/**
+ * Elige la jugada de una simulación rápida: la ficha más pesada, los dobles
+ * primero (se deshace de puntos y de fichas difíciles de colocar)
+ * @param {Array} playable - Fichas jugables de getPlayableTiles
+ * @returns {{tile: Object, side: string}} Jugada
+ */
+function pickPlayoutMove(playable) {
+  let best = playable[0];
+  let bestWeight = -Infinity;
+
+  playable.forEach((option) => {
+    const { a, b } = option.tile;
+    const weight = a + b + (a === b ? 100 : 0);
+    if (weight > bestWeight) {
+      best = option;
+      bestWeight = weight;
+    }
+  });
+
+  return { tile: best.tile, side: best.sides[0] };
+}
+
+/**
+ * Juega una ficha en la simulación y anota los puntos de los cincos
+ * @param {Object} sim - Simulación en curso
+ * @param {string} seat - Asiento que juega
+ * @param {Object} tile - Ficha
+ * @param {string} side - Lado
+ */
+function playInSimulation(sim, seat, tile, side) {
+  sim.board = placeOnSide(sim.board, canPlaySide(sim.board, tile, side));
+  sim.hands[seat] = sim.hands[seat].filter((t) => t.id !== tile.id);
+
+  if (sim.rules.scoring === "all-fives") {
+    const sum = getOpenEndsSum(sim.board);
+    if (sum > 0 && sum % 5 === 0) sim.points[sim.rules.teams[seat]] += sum;
+  }
+}
+
+/**
+ * Suma los puntos en mano de cada equipo
+ * @param {Object} sim - Simulación
+ * @returns {Object<string, number>} Puntos por equipo
+ */
+function getTeamPips(sim) {
+  const pips = {};
+  sim.rules.seats.forEach((seat) => {
+    const team = sim.rules.teams[seat];
+    pips[team] =
+      (pips[team] ?? 0) +
+      sim.hands[seat].reduce((total, t) => total + t.a + t.b, 0);
+  });
+  return pips;
+}
+
+/**
+ * Cierra la simulación con las reglas de fin de mano del motor
+ * Dominó: el equipo ganador cobra los puntos de los rivales. Cierre: gana el
+ * equipo con menos puntos en mano y cobra la diferencia.
+ * @param {Object} sim - Simulación
+ * @param {string|null} winnerTeam - Equipo que dominó o null si hubo cierre
+ * @returns {{outcome: number, netPoints: number}} Resultado para el equipo de
+ *   la IA: 1, 0 o -1 y los puntos ganados menos los cedidos
+ */
+function scoreSimulation(sim, winnerTeam) {
+  const pips = getTeamPips(sim);
+  const ranking = Object.entries(pips).sort((a, b) => a[1] - b[1]);
+
+  let winner = winnerTeam;
+  let score = 0;
+  if (winner) {
+    score = ranking
+      .filter(([team]) => team !== winner)
+      .reduce((total, [, points]) => total + points, 0);
+  } else if (ranking[0][1] < ranking[1][1]) {
+    winner = ranking[0][0];
+    score = ranking
+      .slice(1)
+      .reduce((total, [, points]) => total + points - ranking[0][1], 0);
+  }
+  if (winner) sim.points[winner] += score;
+
+  const ourTeam = sim.rules.teams[sim.rules.seat];
+  const netPoints = Object.entries(sim.points).reduce(
+    (total, [team, points]) => total + (team === ourTeam ? points : -points),
+    0
+  );
+  const outcome = !winner ? 0 : winner === ourTeam ? 1 : -1;
+
+  return { outcome, netPoints };
+}
+
+/**
+ * Juega una jugada candidata y el resto de la mano en un reparto completo
+ * @param {Object} board - Mesa actual
+ * @param {Object<string, Array>} hands - Mano de cada asiento (la de la IA incluida)
+ * @param {Array} stock - Pozo
+ * @param {{tile: Object, side: string}} candidate - Jugada de la IA
+ * @param {Object} rules - Reglas y contexto de la búsqueda
+ * @returns {{outcome: number, netPoints: number}} Resultado para el equipo de la IA
+ */
+function runPlayout(board, hands, stock, candidate, rules) {
+  const sim = {
+    rules,
+    board,
+    hands: { ...hands },
+    stock: [...stock],
+    points: Object.fromEntries(
+      Object.values(rules.teams).map((team) => [team, 0])
+    ),
+  };
+  const canDraw = rules.drawRule !== "block";
+
+  playInSimulation(sim, rules.seat, candidate.tile, candidate.side);
+  if (sim.hands[rules.seat].length === 0) {
+    return scoreSimulation(sim, rules.teams[rules.seat]);
+  }
+
+  let index = rules.seats.indexOf(rules.seat);
+  let passes = 0;
+
+  while (passes < rules.seats.length || (canDraw && sim.stock.length > 0)) {
+    index = (index + 1) % rules.seats.length;
+    const seat = rules.seats[index];
+
+    let playable = getPlayableTiles(sim.board, sim.hands[seat]);
+    while (playable.length === 0 && canDraw && sim.stock.length > 0) {
+      sim.hands[seat] = [...sim.hands[seat], sim.stock.pop()];
+      playable = getPlayableTiles(sim.board, sim.hands[seat]);
+      if (rules.drawRule === "draw-one") break;
+    }
+
+    if (playable.length === 0) {
+      passes += 1;
+      continue;
+    }
+
+    const move = pickPlayoutMove(playable);
+    playInSimulation(sim, seat, move.tile, move.side);
+    passes = 0;
+
+    if (sim.hands[seat].length === 0) {
+      return scoreSimulation(sim, rules.teams[seat]);
+    }
+  }
+
+  return scoreSimulation(sim, null);
+}
+
+/**
+ * Jugada candidata valorada con Monte Carlo
+ * @typedef {Object} MonteCarloMove
+ * @property {Object} tile - Ficha
+ * @property {string} side - Lado
+ * @property {number} value - Valor medio: ganar manda (+1/-1) y los puntos
+ *   desempatan (POINTS_PER_WIN puntos valen una mano)
+ * @property {number} winRate - Proporción de repartos ganados
+ * @property {number} points - Puntos netos medios para el equipo de la IA
+ */
+
+/**
+ * Valora todas las jugadas candidatas con Monte Carlo
+ * Todas las candidatas se evalúan sobre los mismos repartos para que la
+ * comparación entre ellas no dependa de la suerte de cada una.
+ * @param {Object} board - Estado de la mesa (mesa clásica, no tren mexicano)
+ * @param {Array} hand - Mano de la IA
+ * @param {Array} playableTiles - Fichas jugables de getPlayableTiles
+ * @param {Object} rules - Reglas y contexto de la partida (ver selectMonteCarloMove)
+ * @returns {{moves: MonteCarloMove[], samples: number}} Candidatas en el orden
+ *   de playableTiles y repartos simulados
+ */
+export function evaluateMonteCarloMoves(board, hand, playableTiles, rules) {
+  const candidates = playableTiles.flatMap(({ tile, sides }) =>
+    sides.map((side) => ({ tile, side }))
+  );
+  if (candidates.length === 0) return { moves: [], samples: 0 };
+
+  const { unseen, missing } =
+    rules.inference ??
+    inferHands({
+      seat: rules.seat,
+      hand,
+      board,
+      history: rules.history,
+      seats: rules.seats,
+      handSizes: rules.handSizes,
+      stockCount: rules.stockCount,
+      maxPip: rules.maxPip,
+    });
+
+  const totals = candidates.map(() => ({ value: 0, wins: 0, points: 0 }));
+  const deadline = now() + (rules.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS);
+  const maxSamples = rules.maxSamples ?? DEFAULT_MAX_SAMPLES;
+  let samples = 0;
+
+  // Al menos un reparto aunque el presupuesto sea cero
+  do {
+    const deal = sampleDeal(unseen, rules, missing);
+    const hands = { ...deal.hands, [rules.seat]: hand };
+
+    candidates.forEach((candidate, i) => {
+      const { outcome, netPoints } = runPlayout(board, hands, deal.stock, candidate, rules);
+      totals[i].value += outcome + netPoints / POINTS_PER_WIN;
+      totals[i].wins += outcome === 1 ? 1 : 0;
+      totals[i].points += netPoints;
+    });
+    samples += 1;
+  } while (samples < maxSamples && now() < deadline);
+
+  return {
+    moves: candidates.map((candidate, i) => ({
+      ...candidate,
+      value: totals[i].value / samples,
+      winRate: totals[i].wins / samples,
+      points: totals[i].points / samples,
+    })),
+    samples,
+  };
+}
+
+/**
+ * NIVEL EXPERTO: elige jugada con Monte Carlo sobre repartos plausibles
+ * @param {Object} board - Estado de la mesa (mesa clásica, no tren mexicano)
+ * @param {Array} hand - Mano de la IA
+ * @param {Array} playableTiles - Fichas jugables de getPlayableTiles
+ * @param {Object} rules - Reglas y contexto de la partida
+ * @param {string} rules.seat - Asiento de la IA
+ * @param {string[]} rules.seats - Asientos en orden de turno
+ * @param {Object<string, string>} rules.teams - Equipo de cada asiento
+ * @param {Object<string, number>} rules.handSizes - Fichas en mano de cada asiento
+ * @param {number} rules.stockCount - Fichas en el pozo
+ * @param {string} rules.drawRule - Regla de robo
+ * @param {Array} rules.history - Jugadas de la mano (para deducir valores ausentes)
+ * @param {import('./inference.js').HandInference} rules.inference - Inferencia ya calculada (opcional)
+ * @param {number} rules.timeBudgetMs - Presupuesto de tiempo de la decisión
+ * @param {number} rules.maxSamples - Repartos máximos
+ * @param {Object} rules.random - Generador con semilla
+ * @returns {{tile: Object, side: string, samples: number}|null} Mejor jugada
+ */
+export function selectMonteCarloMove(board, hand, playableTiles, rules) {
+  const candidateCount = playableTiles.reduce((total, { sides }) => total + sides.length, 0);
+  if (candidateCount === 0) return null;
+  if (candidateCount === 1) {
+    const [{ tile, sides }] = playableTiles;
+    return { tile, side: sides[0], samples: 0 };
+  }
+
+  const { moves, samples } = evaluateMonteCarloMoves(board, hand, playableTiles, rules);
+
+  const bestValue = Math.max(...moves.map((move) => move.value));
+  const best = moves.filter((move) => move.value === bestValue);
+  const { tile, side } = best.length === 1 ? best[0] : rules.random.pick(best);
+
+  return { tile, side, samples };
+}
@@ -0,0 +1,105 @@
+/**
+ * Generador de números pseudoaleatorios con semilla
+ * Permite repetir exactamente un reparto (y las decisiones de la IA)
+ * a partir de la misma semilla.
+ * @module Random
+ */
+
+/**
+ * Rango de un entero sin signo de 32 bits
+ * @type {number}
+ */
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Generador pseudoaleatorio con semilla
+ * @typedef {Object} RandomGenerator
+ * @property {function(): number} nextUint32 - Entero sin signo de 32 bits
+ * @property {function(): number} next - Número en [0, 1)
+ * @property {function(number): number} nextInt - Entero uniforme en [0, max)
+ * @property {function(Array): *} pick - Elemento uniforme de un array
+ * @property {function(Array): Array} shuffle - Copia barajada (Fisher-Yates)
+ * @property {function(): number} getState - Estado interno (para guardar la partida)
+ * @property {function(number): void} setState - Restaura un estado guardado
+ */
+
+/**
+ * Genera una semilla nueva
+ * Usa crypto.getRandomValues cuando está disponible.
+ * @returns {number} Semilla (entero sin signo de 32 bits)
+ */
+export function generateSeed() {
+    if (globalThis.crypto?.getRandomValues) {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+/**
+ * Convierte una semilla (número o texto) en un entero de 32 bits
+ * Los textos se resumen con FNV-1a para poder compartir semillas legibles.
+ * @param {number|string} seed - Semilla
+ * @returns {number} Semilla normalizada
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.trunc(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Crea un generador pseudoaleatorio (mulberry32) a partir de una semilla
+ * @param {number|string} seed - Semilla
+ * @returns {RandomGenerator} Generador
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    const nextUint32 = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+
+    // Muestreo por rechazo: descarta los valores que sesgarían el módulo
+    const nextInt = (max) => {
+        if (!Number.isInteger(max) || max <= 0 || max > UINT32_RANGE) {
+            throw new Error(`Rango aleatorio no válido: ${max}`);
+        }
+        const limit = UINT32_RANGE - (UINT32_RANGE % max);
+        let value = nextUint32();
+        while (value >= limit) {
+            value = nextUint32();
+        }
+        return value % max;
+    };
+
+    return {
+        nextUint32,
+        next: () => nextUint32() / UINT32_RANGE,
+        nextInt,
+        pick: (items) => items[nextInt(items.length)],
+        shuffle: (items) => {
+            const result = [...items];
+            for (let i = result.length - 1; i > 0; i--) {
+                const j = nextInt(i + 1);
+                [result[i], result[j]] = [result[j], result[i]];
+            }
+            return result;
+        },
+        getState: () => state,
+        setState: (savedState) => {
+            state = savedState >>> 0;
+        }
+    };
+}
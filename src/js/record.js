@@ -0,0 +1,358 @@
+/**
+ * Registro portable de una mano para compartirla
+ * Guarda semilla, reglas, reparto inicial y la lista de jugadas (con robos y
+ * pases). Se exporta como JSON y con una notación compacta legible:
+ * "P1 6-4 R; AI draw; AI pass". Al importar, la mano se reproduce con el
+ * motor de game.js y se rechaza si alguna jugada es ilegal.
+ * @module Record
+ */
+
+import {
+  createGame,
+  getGameState,
+  initGame,
+  applyMove,
+  withEventsMuted,
+  SILENT_LOGGER,
+} from "./game.js";
+import { MEXICAN_TRAIN } from "./board.js";
+
+/**
+ * Identificador y versión del formato de registro
+ */
+export const RECORD_FORMAT = "domino-record";
+export const RECORD_VERSION = 1;
+
+/**
+ * Reglas de la partida que afectan a la mano (las del encuentro no; deshacer
+ * y las pistas tampoco: al importar se quedan las de la partida en curso)
+ * @type {string[]}
+ */
+const RECORD_RULES = [
+  "variant",
+  "maxPip",
+  "tilesPerPlayer",
+  "mode",
+  "scoring",
+  "spinner",
+  "drawRule",
+  "openingRule",
+];
+
+/**
+ * Código de cada asiento en la notación
+ * @type {Object<string, string>}
+ */
+const SEAT_CODES = {
+  player: "P1",
+  opponent: "AI",
+  partner: "P2",
+  opponent2: "AI2",
+};
+
+/**
+ * Código de cada lado de la mesa en la notación (en el tren mexicano el
+ * lado es el tren de un asiento, que usa el código del asiento)
+ * @type {Object<string, string>}
+ */
+const SIDE_CODES = {
+  left: "L",
+  right: "R",
+  north: "N",
+  south: "S",
+  [MEXICAN_TRAIN]: "MX",
+};
+
+/**
+ * Registro de una mano
+ * @typedef {Object} GameRecord
+ * @property {string} format - Siempre RECORD_FORMAT
+ * @property {number} version - Versión del formato
+ * @property {number|string} seed - Semilla del reparto
+ * @property {number} round - Mano del encuentro (fija la máquina del tren mexicano)
+ * @property {Object} rules - Reglas de la mano (variante, fichas, modo, puntuación...)
+ * @property {{startingPlayer: string, hands: Object<string, string[]>, stock: string[]}} deal - Reparto inicial
+ * @property {import('./game.js').RecordedMove[]} moves - Jugadas, robos y pases
+ * @property {string} notation - Las mismas jugadas en notación compacta
+ * @property {{winner: string, blocked: boolean}|null} result - Resultado si la mano terminó
+ */
+
+/**
+ * Busca la clave de un objeto a partir de su valor
+ * @param {Object<string, string>} codes - Tabla de códigos
+ * @param {string} code - Código buscado
+ * @returns {string|undefined} Clave
+ */
+function findKeyByCode(codes, code) {
+  return Object.keys(codes).find((key) => codes[key] === code);
+}
+
+/**
+ * Escribe una acción en notación compacta ("P1 6-4 R", "AI draw", "AI pass")
+ * Las fichas se escriben con el extremo mayor primero.
+ * @param {import('./game.js').RecordedMove} move - Acción
+ * @returns {string} Acción en notación
+ */
+export function formatMove(move) {
+  const seat = SEAT_CODES[move.seat] ?? move.seat;
+  if (move.action !== "play") return `${seat} ${move.action}`;
+
+  const tile = move.tile.split("-").reverse().join("-");
+  const side = SIDE_CODES[move.side] ?? SEAT_CODES[move.side] ?? move.side;
+  return `${seat} ${tile} ${side}`;
+}
+
+/**
+ * Escribe una lista de acciones en notación compacta
+ * @param {import('./game.js').RecordedMove[]} moves - Acciones
+ * @returns {string} Notación separada por ";"
+ */
+export function formatNotation(moves) {
+  return moves.map(formatMove).join("; ");
+}
+
+/**
+ * Lee una acción en notación compacta
+ * @param {string} token - Acción ("P1 6-4 R", "AI draw"...)
+ * @returns {import('./game.js').RecordedMove|null} Acción o null si no se entiende
+ */
+function parseMove(token) {
+  const [seatCode, what, sideCode, ...rest] = token.split(/\s+/);
+  const seat = findKeyByCode(SEAT_CODES, seatCode);
+  if (!seat || rest.length > 0) return null;
+
+  if (what === "draw" || what === "pass") {
+    return sideCode === undefined ? { seat, action: what } : null;
+  }
+
+  const pips = /^(\d+)-(\d+)$/.exec(what ?? "");
+  if (!pips) return null;
+  const [a, b] = [Number(pips[1]), Number(pips[2])].sort((x, y) => x - y);
+
+  const side =
+    sideCode === undefined
+      ? null
+      : findKeyByCode(SIDE_CODES, sideCode) ?? findKeyByCode(SEAT_CODES, sideCode);
+  if (side === undefined) return null;
+
+  return { seat, action: "play", tile: `${a}-${b}`, side };
+}
+
+/**
+ * Lee una lista de acciones en notación compacta (separadas por ";" o saltos de línea)
+ * @param {string} text - Notación
+ * @returns {import('./game.js').RecordedMove[]} Acciones
+ * @throws {Error} Si alguna acción no se entiende (con moveIndex en el error)
+ */
+export function parseNotation(text) {
+  return String(text)
+    .split(/[;\n]/)
+    .map((token) => token.trim())
+    .filter((token) => token.length > 0)
+    .map((token, index) => {
+      const move = parseMove(token);
+      if (!move) {
+        throw Object.assign(
+          new Error(`Jugada ${index + 1} ("${token}"): notación no válida`),
+          { moveIndex: index }
+        );
+      }
+      return move;
+    });
+}
+
+/**
+ * Crea el registro de la mano actual
+ * @returns {GameRecord|null} Registro o null si no hay mano (o su reparto no se conoce)
+ */
+export function exportRecord() {
+  const state = getGameState();
+  if (!state?.deal) return null;
+
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    seed: state.seed,
+    round: state.round,
+    rules: Object.fromEntries(
+      RECORD_RULES.map((rule) => [rule, state.options[rule]])
+    ),
+    deal: structuredClone(state.deal),
+    moves: structuredClone(state.moves),
+    notation: formatNotation(state.moves),
+    result:
+      state.phase === "playing"
+        ? null
+        : { winner: state.winner, blocked: state.isBlocked },
+  };
+}
+
+/**
+ * Compara el reparto del registro con el que genera la semilla
+ * @param {Object} recorded - Reparto del registro
+ * @param {Object} dealt - Reparto del motor
+ * @returns {boolean} True si coinciden
+ */
+function isSameDeal(recorded, dealt) {
+  return (
+    JSON.stringify(recorded.stock) === JSON.stringify(dealt.stock) &&
+    Object.keys(dealt.hands).every(
+      (seat) =>
+        JSON.stringify(recorded.hands?.[seat]) ===
+        JSON.stringify(dealt.hands[seat])
+    )
+  );
+}
+
+/**
+ * Opciones de initGame que reparten la mano de un registro
+ * @param {GameRecord} record - Registro
+ * @returns {Object} Reglas, semilla, salida y mano del encuentro
+ */
+function getDealOptions(record) {
+  return {
+    ...record.rules,
+    seed: record.seed,
+    startingPlayer: record.deal?.startingPlayer ?? "random",
+    currentRound: record.round ?? 1,
+  };
+}
+
+/**
+ * Valida un registro reproduciéndolo en una partida aparte
+ * La partida en curso no se toca (ni su historial de deshacer).
+ * @param {GameRecord} record - Registro
+ * @param {function(import('./game.js').GameInstance): void} onStep - Se llama
+ *   tras el reparto y tras cada jugada con la partida de la reproducción
+ * @returns {{valid: boolean, moveIndex: number|null, error: string|null,
+ *   moves: import('./game.js').RecordedMove[]}} Resultado y jugadas leídas
+ */
+function replayRecord(record, onStep = () => {}) {
+  const reject = (error, moveIndex = null) => ({
+    valid: false,
+    moveIndex,
+    error,
+    moves: [],
+  });
+
+  if (record?.format !== RECORD_FORMAT) {
+    return reject("No es un registro de mano de dominó");
+  }
+  if (!Number.isInteger(record.version) || record.version > RECORD_VERSION) {
+    return reject(`Versión de registro no soportada: ${record.version}`);
+  }
+
+  let moves = record.moves;
+  if (!Array.isArray(moves)) {
+    try {
+      moves = parseNotation(record.notation ?? "");
+    } catch (e) {
+      return reject(e.message, e.moveIndex);
+    }
+  }
+
+  let game;
+  try {
+    game = createGame({ ...getDealOptions(record), logger: SILENT_LOGGER, humanSeat: null });
+  } catch (e) {
+    return reject(`Reglas no válidas: ${e.message}`);
+  }
+
+  if (record.deal && !isSameDeal(record.deal, game.getGameState().deal)) {
+    return reject("El reparto no coincide con la semilla");
+  }
+  onStep(game);
+
+  for (let i = 0; i < moves.length; i++) {
+    const error = game.applyMove(moves[i]);
+    if (error) {
+      return reject(`Jugada ${i + 1} (${formatMove(moves[i])}): ${error}`, i);
+    }
+    onStep(game);
+  }
+
+  const state = game.getGameState();
+  if (record.result && record.result.winner !== state.winner) {
+    return reject(
+      `El resultado no coincide: el registro dice ${record.result.winner} y la reproducción ${state.winner}`
+    );
+  }
+
+  return { valid: true, moveIndex: null, error: null, moves };
+}
+
+/**
+ * Carga un registro como partida actual tras validarlo
+ * Si el registro se rechaza, la partida en curso no cambia.
+ * @param {GameRecord} record - Registro
+ * @returns {{valid: boolean, moveIndex: number|null, error: string|null}}
+ *   Resultado; moveIndex señala la jugada ilegal (empezando en 0)
+ */
+export function importRecord(record) {
+  const { moves, ...result } = replayRecord(record);
+
+  if (!result.valid) {
+    console.warn("⚠️ Registro rechazado:", result.error);
+    return result;
+  }
+
+  // Deshacer y el presupuesto de pistas siguen siendo los de la partida en
+  // curso: importar una mano no convierte una partida puntuada en práctica
+  const { options } = getGameState() ?? {};
+  const ranked = {
+    allowUndo: options?.allowUndo ?? true,
+    hintBudget: options?.hintBudget ?? null,
+  };
+
+  // La carga no es juego real: sin sonidos ni modales de resultado
+  withEventsMuted(() => {
+    initGame({ ...getDealOptions(record), ...ranked });
+    moves.forEach((move) => applyMove(move));
+  });
+
+  console.log("📜 Registro importado:", {
+    seed: record.seed,
+    moves: getGameState().moves.length,
+  });
+  return result;
+}
+
+/**
+ * Reproduce un registro y devuelve la partida en cada punto, sin cambiar la
+ * partida en curso
+ * @param {GameRecord} record - Registro
+ * @returns {{valid: boolean, moveIndex: number|null, error: string|null, frames: Object[]}}
+ *   Resultado; frames[0] es el reparto y frames[i] la partida tras la jugada i
+ *   (copias de exportGame)
+ */
+export function buildReplayFrames(record) {
+  const frames = [];
+  const { valid, moveIndex, error } = replayRecord(record, (game) =>
+    frames.push(game.exportGame())
+  );
+  return { valid, moveIndex, error, frames: valid ? frames : [] };
+}
+
+/**
+ * Exporta el registro de la mano actual como texto JSON
+ * @returns {string|null} JSON o null si no hay registro
+ */
+export function exportRecordJSON() {
+  const record = exportRecord();
+  return record ? JSON.stringify(record, null, 2) : null;
+}
+
+/**
+ * Importa un registro desde texto JSON
+ * @param {string} text - JSON del registro
+ * @returns {{valid: boolean, moveIndex: number|null, error: string|null}} Resultado
+ */
+export function importRecordJSON(text) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (e) {
+    return { valid: false, moveIndex: null, error: "El archivo no es JSON válido" };
+  }
+  return importRecord(record);
+}
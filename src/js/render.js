@@ -20,6 +20,12 @@ const defaultOptions = {
     highlightColor: '#4CAF50'
 };
 
+/**
+ * Valor máximo que se puede dibujar (juego de doble quince)
+ * @type {number}
+ */
+const MAX_RENDERABLE_PIP = 15;
+
 /**
  * Patrones de puntos para cada valor (0-6)
  * Coordenadas normalizadas (0-1) en una cuadrícula 2x2 para cada mitad
@@ -34,29 +40,81 @@ const dotPatterns = {
     6: [[0.25, 0.2], [0.25, 0.5], [0.25, 0.8], [0.75, 0.2], [0.75, 0.5], [0.75, 0.8]]
 };
 
+/**
+ * Número de filas de la cuadrícula usada para un valor
+ * Los valores 7-15 usan 3 columnas: 3 filas hasta 9, 4 hasta 12 y 5 hasta 15
+ * @param {number} value - Valor del extremo
+ * @returns {number} Filas de la cuadrícula
+ */
+function getPatternRows(value) {
+    return Math.max(3, Math.ceil(value / 3));
+}
+
+/**
+ * Genera el patrón de puntos para valores altos (7-15)
+ * Las columnas exteriores se llenan completas y la central recibe el resto,
+ * centrada verticalmente (7 = seis + centro, 9 = cuadrícula 3x3, 12 = 3x4...)
+ * @param {number} value - Valor del extremo (7-15)
+ * @returns {Array<[number, number]>} Coordenadas normalizadas
+ */
+function buildGridPattern(value) {
+    const rows = getPatternRows(value);
+    const middleCount = value - rows * 2;
+    const rowY = (index, count) => 0.15 + ((index + 0.5) * 0.7) / count;
+    const pattern = [];
+
+    for (let i = 0; i < rows; i++) {
+        pattern.push([0.2, rowY(i, rows)]);
+        pattern.push([0.8, rowY(i, rows)]);
+    }
+
+    for (let i = 0; i < middleCount; i++) {
+        pattern.push([0.5, rowY(i, middleCount)]);
+    }
+
+    return pattern;
+}
+
+/**
+ * Obtiene (y memoriza) el patrón de puntos de un valor
+ * @param {number} value - Valor del extremo (0-15)
+ * @returns {Array<[number, number]>} Coordenadas normalizadas
+ */
+function getDotPattern(value) {
+    if (!dotPatterns[value]) {
+        dotPatterns[value] = buildGridPattern(value);
+    }
+    return dotPatterns[value];
+}
+
 /**
  * Calcula el radio del punto basado en el tamaño de la ficha
  * @param {number} size - Tamaño de referencia (ancho o alto)
+ * @param {number} value - Valor dibujado (los valores altos usan puntos más pequeños)
  * @returns {number} Radio del punto
  */
-function calculateDotRadius(size) {
-    return Math.max(4, size * 0.08);
+function calculateDotRadius(size, value = 0) {
+    const radius = Math.max(4, size * 0.08);
+    if (value <= 6) return radius;
+
+    // Limitar el radio al espacio disponible entre filas
+    return Math.min(radius, (size * 0.7 * 0.4) / getPatternRows(value));
 }
 
 /**
  * Genera los puntos SVG para un valor dado en una posición específica
- * @param {number} value - Valor del extremo (0-6)
+ * @param {number} value - Valor del extremo (0-15)
  * @param {Object} area - Área {x, y, width, height} donde dibujar
  * @param {Object} options - Opciones de renderizado
  * @returns {string} SVG de los puntos
  */
 function generateDots(value, area, options) {
-    if (value < 0 || value > 6) return '';
+    if (value < 0 || value > MAX_RENDERABLE_PIP) return '';
     
-    const pattern = dotPatterns[value];
+    const pattern = getDotPattern(value);
     if (!pattern || pattern.length === 0) return '';
     
-    const dotRadius = calculateDotRadius(Math.min(area.width, area.height));
+    const dotRadius = calculateDotRadius(Math.min(area.width, area.height), value);
     
     return pattern.map(([nx, ny]) => {
         const x = area.x + (nx * area.width);
@@ -0,0 +1,166 @@
+/**
+ * Repetición paso a paso de una mano registrada
+ * Carga en el motor la partida de cada punto del registro para que la
+ * interfaz la dibuje con su flujo normal (updateUI). Al salir se recupera
+ * la partida que había en curso, con su historial de deshacer.
+ * @module Replay
+ */
+
+import { exportGame, importGame } from "./game.js";
+import { buildReplayFrames, formatMove } from "./record.js";
+
+/**
+ * Intervalo por defecto entre jugadas en reproducción automática (ms)
+ * @type {number}
+ */
+const AUTOPLAY_INTERVAL = 1200;
+
+/**
+ * Repetición activa o null
+ * @type {{frames: Object[], moves: Array, step: number, liveGame: Object|null, timer: number|null, onChange: Function}|null}
+ */
+let replay = null;
+
+/**
+ * Posición de la repetición
+ * @typedef {Object} ReplayPosition
+ * @property {number} step - Paso actual (0 = reparto)
+ * @property {number} total - Número de jugadas del registro
+ * @property {string|null} move - Última jugada aplicada en notación compacta
+ * @property {boolean} playing - Si la reproducción automática está activa
+ */
+
+/**
+ * Empieza la repetición de un registro en el reparto inicial
+ * La partida en curso se guarda y se recupera con stopReplay.
+ * @param {import('./record.js').GameRecord} record - Registro de la mano
+ * @param {function(ReplayPosition): void} onChange - Se llama tras cada cambio de paso
+ * @returns {{valid: boolean, moveIndex: number|null, error: string|null}} Resultado de validar el registro
+ */
+export function startReplay(record, onChange = () => {}) {
+  if (replay) stopReplay();
+
+  const liveGame = exportGame({ withHistory: true });
+  const result = buildReplayFrames(record);
+  if (!result.valid) {
+    console.warn("⚠️ No se puede repetir la mano:", result.error);
+    return result;
+  }
+
+  const { frames } = result;
+  replay = {
+    frames,
+    moves: frames[frames.length - 1].state.moves,
+    step: 0,
+    liveGame,
+    timer: null,
+    onChange,
+  };
+
+  console.log("🎬 Repetición iniciada:", { moves: replay.moves.length });
+  goToStep(0);
+  return { valid: true, moveIndex: null, error: null };
+}
+
+/**
+ * Termina la repetición y recupera la partida en curso
+ * @returns {boolean} True si había una repetición activa
+ */
+export function stopReplay() {
+  if (!replay) return false;
+
+  stopAutoplay();
+  const { liveGame } = replay;
+  replay = null;
+  if (liveGame) importGame(liveGame, { silent: true });
+
+  console.log("🎬 Repetición terminada");
+  return true;
+}
+
+/**
+ * Indica si hay una repetición activa
+ * @returns {boolean} True durante la repetición
+ */
+export function isReplaying() {
+  return replay !== null;
+}
+
+/**
+ * Obtiene la posición de la repetición
+ * @returns {ReplayPosition|null} Posición o null si no hay repetición
+ */
+export function getReplayPosition() {
+  if (!replay) return null;
+
+  return {
+    step: replay.step,
+    total: replay.moves.length,
+    move: replay.step > 0 ? formatMove(replay.moves[replay.step - 1]) : null,
+    playing: replay.timer !== null,
+  };
+}
+
+/**
+ * Salta a un paso de la repetición (se ajusta al rango válido)
+ * @param {number} step - Paso (0 = reparto, n = tras la jugada n)
+ * @returns {boolean} True si se cambió de paso
+ */
+export function goToStep(step) {
+  if (!replay) return false;
+
+  const target = Math.max(0, Math.min(step, replay.frames.length - 1));
+  importGame(replay.frames[target], { silent: true });
+  replay.step = target;
+  replay.onChange(getReplayPosition());
+  return true;
+}
+
+/**
+ * Avanza una jugada
+ * @returns {boolean} True si se avanzó (false al final)
+ */
+export function stepForward() {
+  if (!replay || replay.step >= replay.moves.length) return false;
+  return goToStep(replay.step + 1);
+}
+
+/**
+ * Retrocede una jugada
+ * @returns {boolean} True si se retrocedió (false en el reparto)
+ */
+export function stepBack() {
+  if (!replay || replay.step === 0) return false;
+  return goToStep(replay.step - 1);
+}
+
+/**
+ * Activa la reproducción automática hasta el final de la mano
+ * @param {number} interval - Milisegundos entre jugadas
+ * @returns {boolean} True si se activó
+ */
+export function startAutoplay(interval = AUTOPLAY_INTERVAL) {
+  if (!replay || replay.timer !== null) return false;
+
+  // Desde el final, volver a empezar
+  if (replay.step >= replay.moves.length) goToStep(0);
+
+  replay.timer = setInterval(() => {
+    if (!stepForward() || replay.step >= replay.moves.length) {
+      stopAutoplay();
+    }
+  }, interval);
+  replay.onChange(getReplayPosition());
+  return true;
+}
+
+/**
+ * Detiene la reproducción automática
+ */
+export function stopAutoplay() {
+  if (!replay || replay.timer === null) return;
+
+  clearInterval(replay.timer);
+  replay.timer = null;
+  replay.onChange(getReplayPosition());
+}
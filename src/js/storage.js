@@ -0,0 +1,157 @@
+/**
+ * Guardado y recuperación de la partida en curso (localStorage)
+ * Cada jugada deja un punto de control para poder continuar tras
+ * recargar la página o si el sistema cierra la pestaña.
+ * @module Storage
+ */
+
+import { exportGame, importGame } from "./game.js";
+
+/**
+ * Versión actual del formato de guardado
+ * Súbela cuando cambie la estructura del estado y añade su migración.
+ * @type {number}
+ */
+export const SAVE_VERSION = 2;
+
+/**
+ * Clave de localStorage de la partida guardada
+ * @type {string}
+ */
+const SAVE_KEY = "domino_saved_game";
+
+/**
+ * Migraciones entre versiones: MIGRATIONS[n] convierte una partida
+ * guardada en la versión n al formato de la versión n + 1
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  // v2: la mano guarda su reparto inicial y el historial de jugadas
+  1: (data) => ({
+    ...data,
+    game: {
+      ...data.game,
+      state: { ...data.game.state, deal: null, moves: [] },
+    },
+  }),
+};
+
+/**
+ * Obtiene localStorage si está disponible (no lo está en Node ni en
+ * algunos modos privados)
+ * @returns {Storage|null} Almacenamiento o null
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lleva una partida guardada a la versión actual del formato
+ * @param {Object} data - Datos guardados {version, savedAt, game}
+ * @returns {Object} Datos en la versión actual
+ * @throws {Error} Si la versión es desconocida o no hay migración posible
+ */
+export function migrateSave(data) {
+  if (!Number.isInteger(data?.version) || data.version < 1) {
+    throw new Error("Partida guardada sin versión");
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Partida guardada con una versión más nueva (${data.version})`);
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No hay migración desde la versión ${migrated.version}`);
+    }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+}
+
+/**
+ * Guarda la partida actual como punto de control
+ * @returns {boolean} True si se guardó
+ */
+export function saveGame() {
+  const storage = getStorage();
+  const game = exportGame();
+  if (!storage || !game) return false;
+
+  try {
+    storage.setItem(
+      SAVE_KEY,
+      JSON.stringify({
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        game,
+      })
+    );
+    return true;
+  } catch (e) {
+    console.warn("⚠️ Error guardando la partida:", e);
+    return false;
+  }
+}
+
+/**
+ * Lee la partida guardada, migrándola si hace falta
+ * Las partidas ilegibles o de versiones no soportadas se descartan.
+ * @returns {Object|null} Datos guardados {version, savedAt, game} o null
+ */
+export function loadSavedGame() {
+  const storage = getStorage();
+  const raw = storage?.getItem(SAVE_KEY);
+  if (!raw) return null;
+
+  try {
+    return migrateSave(JSON.parse(raw));
+  } catch (e) {
+    console.warn("⚠️ Partida guardada descartada:", e.message);
+    clearSavedGame();
+    return null;
+  }
+}
+
+/**
+ * Indica si una partida guardada merece ofrecerse para continuar
+ * Una mano en juego, o una mano terminada dentro de un encuentro sin acabar.
+ * @param {Object|null} saved - Datos de loadSavedGame
+ * @returns {boolean} True si se puede continuar
+ */
+export function isResumable(saved) {
+  const state = saved?.game?.state;
+  if (!state) return false;
+
+  const isMatchPlay =
+    state.options?.targetScore != null || state.totalRounds > 1;
+  return (
+    state.phase === "playing" || (state.phase === "finished" && isMatchPlay)
+  );
+}
+
+/**
+ * Restaura en el motor la partida guardada
+ * @param {Object} saved - Datos de loadSavedGame
+ * @returns {boolean} True si se restauró
+ */
+export function resumeSavedGame(saved) {
+  if (!saved || !importGame(saved.game)) {
+    clearSavedGame();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Borra la partida guardada
+ */
+export function clearSavedGame() {
+  getStorage()?.removeItem(SAVE_KEY);
+}
@@ -1,28 +1,61 @@
 /**
  * Sistema de gestión de fichas de dominó
- * Genera y manipula el conjunto completo de 28 fichas
+ * Genera y manipula juegos completos de fichas (doble seis, nueve, doce o quince)
  * @module Tiles
  */
 
+/**
+ * Valor máximo por defecto (juego clásico de doble seis, 28 fichas)
+ * @type {number}
+ */
+export const DEFAULT_MAX_PIP = 6;
+
+/**
+ * Juegos de fichas soportados, indexados por su valor máximo
+ * @type {Object<number, string>}
+ */
+export const TILE_SETS = {
+    6: 'Doble seis',
+    9: 'Doble nueve',
+    12: 'Doble doce',
+    15: 'Doble quince'
+};
+
+/**
+ * Fichas por jugador habituales en una partida de 2 jugadores según el juego
+ * @type {Object<number, number>}
+ */
+const DEFAULT_HAND_SIZES = {
+    6: 7,
+    9: 10,
+    12: 12,
+    15: 15
+};
+
 /**
  * Representa una ficha de dominó con sus valores y propiedades
  * @typedef {Object} Tile
- * @property {number} a - Valor del extremo A (0-6)
- * @property {number} b - Valor del extremo B (0-6)
+ * @property {number} a - Valor del extremo A (0-maxPip)
+ * @property {number} b - Valor del extremo B (0-maxPip)
  * @property {string} id - Identificador único en formato "a-b"
  * @property {boolean} isDouble - Indica si es doble (a === b)
  * @property {string} orientation - Orientación actual: 'horizontal' o 'vertical'
  */
 
 /**
- * Genera todas las 28 combinaciones únicas de fichas de dominó
- * @returns {Tile[]} Array con las 28 fichas
+ * Genera todas las combinaciones únicas de fichas de dominó hasta un valor máximo
+ * @param {number} maxPip - Valor máximo de un extremo (6, 9, 12 o 15)
+ * @returns {Tile[]} Array con las fichas del juego (28 para doble seis)
  */
-export function generateTiles() {
+export function generateTiles(maxPip = DEFAULT_MAX_PIP) {
+    if (!TILE_SETS[maxPip]) {
+        throw new Error(`Juego de fichas no soportado: doble ${maxPip}`);
+    }
+
     const tiles = [];
     
-    for (let a = 0; a <= 6; a++) {
-        for (let b = a; b <= 6; b++) {
+    for (let a = 0; a <= maxPip; a++) {
+        for (let b = a; b <= maxPip; b++) {
             tiles.push({
                 a,
                 b,
@@ -36,6 +69,24 @@ export function generateTiles() {
     return tiles;
 }
 
+/**
+ * Calcula el número de fichas de un juego completo
+ * @param {number} maxPip - Valor máximo de un extremo
+ * @returns {number} Número de fichas (28, 55, 91 o 136)
+ */
+export function getTileCount(maxPip = DEFAULT_MAX_PIP) {
+    return ((maxPip + 1) * (maxPip + 2)) / 2;
+}
+
+/**
+ * Obtiene el número de fichas por jugador recomendado para un juego
+ * @param {number} maxPip - Valor máximo de un extremo
+ * @returns {number} Fichas a repartir a cada jugador
+ */
+export function getDefaultTilesPerPlayer(maxPip = DEFAULT_MAX_PIP) {
+    return DEFAULT_HAND_SIZES[maxPip] ?? DEFAULT_HAND_SIZES[DEFAULT_MAX_PIP];
+}
+
 /**
  * Verifica si una ficha es doble (mismo valor en ambos extremos)
  * @param {Tile} tile - Ficha a verificar
@@ -111,7 +162,7 @@ export function sortByValue(tiles) {
 /**
  * Busca fichas que contengan un valor específico en algún extremo
  * @param {Tile[]} tiles - Array de fichas
- * @param {number} value - Valor a buscar (0-6)
+ * @param {number} value - Valor a buscar (0-maxPip)
  * @returns {Tile[]} Fichas que contienen el valor
  */
 export function findTilesWithValue(tiles, value) {
@@ -119,6 +170,6 @@ export function findTilesWithValue(tiles, value) {
 }
 
 /**
- * Exporta el conjunto completo de fichas como módulo principal
+ * Exporta el conjunto clásico de doble seis como módulo principal
  */
 export const allTiles = generateTiles();
\ No newline at end of file
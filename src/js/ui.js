@@ -9,8 +9,16 @@ import {
   getGameState,
   getCurrentPlayerPlayableTiles,
   getGameStats,
+  HUMAN_SEAT,
+  SEAT_NAMES,
 } from "./game.js";
-import { getPlayableTiles } from "./board.js";
+import {
+  getPlayableTiles,
+  getAvailableSides,
+  isTrainBoard,
+  isTrainOpen,
+  MEXICAN_TRAIN,
+} from "./board.js";
 
 /**
  * Referencias a elementos DOM
@@ -25,6 +33,10 @@ let domRefs = {
   currentPlayer: null,
   playerScore: null,
   opponentScore: null,
+  drawButton: null,
+  passButton: null,
+  undoButton: null,
+  redoButton: null,
 };
 
 /**
@@ -35,6 +47,7 @@ const uiConfig = {
     board: { width: 45, height: 90 },
     player: { width: 60, height: 120 },
     opponent: { width: 45, height: 90 },
+    seat: { width: 24, height: 48 },
     stock: { width: 40, height: 80 },
   },
   colors: {
@@ -50,6 +63,20 @@ const uiConfig = {
   },
 };
 
+/**
+ * Mostrar boca arriba las manos de la IA (repeticiones)
+ * @type {boolean}
+ */
+let revealHiddenHands = false;
+
+/**
+ * Muestra u oculta las fichas de la IA
+ * @param {boolean} reveal - True para mostrarlas boca arriba
+ */
+export function setRevealHands(reveal) {
+  revealHiddenHands = !!reveal;
+}
+
 /**
  * Inicializa la interfaz de usuario
  * @param {Object} refs - Referencias a elementos DOM
@@ -76,9 +103,10 @@ export function updateUI() {
   updateStats();
   updateCurrentPlayerIndicator();
   updateScores();
+  updateControlButtons();
 
   // Resaltar fichas jugables si es el turno del jugador
-  if (gameState.currentPlayer === "player" && gameState.phase === "playing") {
+  if (gameState.currentPlayer === HUMAN_SEAT && gameState.phase === "playing") {
     highlightPlayableTiles();
   }
 }
@@ -92,6 +120,11 @@ function updateBoard() {
   const gameState = getGameState();
   const board = gameState?.board;
 
+  if (isTrainBoard(board)) {
+    updateTrainBoard(board, gameState);
+    return;
+  }
+
   if (!board || board.tiles.length === 0) {
     domRefs.board.innerHTML = `
             <div class="empty-board-message">
@@ -117,29 +150,70 @@ function updateBoard() {
   }
 
   // Área de scroll para las fichas
-  boardHTML += '<div class="board-tiles-scroll board-track">';
+  const spinnerIndex = board.spinner
+    ? board.tiles.findIndex((t) => t.id === board.spinner.id)
+    : -1;
+  const isNewAt = (index) =>
+    gameState.lastAction?.includes("played") &&
+    (index === 0 || index === board.tiles.length - 1);
+  const renderLineTile = (tile, index) =>
+    renderBoardTile(tile, {
+      classes: [
+        index === 0 ? "first" : "",
+        index === board.tiles.length - 1 ? "last" : "",
+        isNewAt(index) ? "new-tile" : "",
+      ],
+    });
 
-  // Renderizar fichas en la mesa
-  board.tiles.forEach((tile, index) => {
-    const isFirst = index === 0;
-    const isLast = index === board.tiles.length - 1;
-    const isNew =
-      gameState.lastAction?.includes("played") && (isFirst || isLast);
+  if (spinnerIndex === -1) {
+    boardHTML += '<div class="board-tiles-scroll board-track">';
 
-    boardHTML += `
-            <div class="tile-wrapper board-tile ${isFirst ? "first" : ""} ${
-      isLast ? "last" : ""
-    } ${isNew ? "new-tile" : ""}" data-id="${tile.id}">
-                ${renderTile(tile, {
-                  ...uiConfig.tileSizes.board,
-                  orientation: "horizontal",
-                })}
-                <div class="tile-info">${tile.a}-${tile.b}</div>
-            </div>
-        `;
-  });
+    // Renderizar fichas en la mesa
+    board.tiles.forEach((tile, index) => {
+      boardHTML += renderLineTile(tile, index);
+    });
+
+    boardHTML += "</div>"; // Cerrar board-tiles-scroll
+  } else {
+    // Disposición en cruz: línea izquierda, columna del spinner y línea derecha
+    const armTiles = (side) =>
+      board[side]
+        .map((tile, index) =>
+          renderBoardTile(tile, {
+            vertical: true,
+            classes: [
+              "arm-tile",
+              index === board[side].length - 1 &&
+              gameState.lastAction?.endsWith(`_${side}`)
+                ? "new-tile"
+                : "",
+            ],
+          })
+        );
+
+    boardHTML += '<div class="board-tiles-scroll board-track board-cross">';
+    boardHTML += '<div class="board-line-segment">';
+    board.tiles.slice(0, spinnerIndex).forEach((tile, index) => {
+      boardHTML += renderLineTile(tile, index);
+    });
+    boardHTML += "</div>";
 
-  boardHTML += "</div>"; // Cerrar board-tiles-scroll
+    boardHTML += '<div class="spinner-column">';
+    boardHTML += `<div class="board-arm north-arm">${armTiles("north").reverse().join("")}</div>`;
+    boardHTML += renderBoardTile(board.tiles[spinnerIndex], {
+      vertical: true,
+      classes: ["spinner-tile", isNewAt(spinnerIndex) ? "new-tile" : ""],
+    });
+    boardHTML += `<div class="board-arm south-arm">${armTiles("south").join("")}</div>`;
+    boardHTML += "</div>";
+
+    boardHTML += '<div class="board-line-segment">';
+    board.tiles.slice(spinnerIndex + 1).forEach((tile, offset) => {
+      boardHTML += renderLineTile(tile, spinnerIndex + 1 + offset);
+    });
+    boardHTML += "</div>";
+    boardHTML += "</div>"; // Cerrar board-tiles-scroll
+  }
 
   // Mostrar extremo derecho
   if (board.rightValue !== null) {
@@ -151,6 +225,18 @@ function updateBoard() {
         `;
   }
 
+  // Mostrar brazos del spinner cuando están abiertos
+  if (board.northValue !== null) {
+    boardHTML += `
+            <div class="board-end-panel arm-panel">
+                <div class="end-label">Arriba</div>
+                <div class="end-value">${board.northValue}</div>
+                <div class="end-label">Abajo</div>
+                <div class="end-value">${board.southValue}</div>
+            </div>
+        `;
+  }
+
   boardHTML += "</div>"; // Cerrar board-wrapper
   domRefs.board.innerHTML = boardHTML;
 
@@ -165,6 +251,95 @@ function updateBoard() {
   }
 }
 
+/**
+ * Renderiza la mesa del tren mexicano
+ * La máquina a la izquierda y un carril por tren: el del jugador, el de
+ * cada rival y el tren mexicano. Se señalan los trenes marcados y los
+ * trenes donde el jugador puede jugar ahora mismo.
+ * @param {Object} board - Mesa del tren mexicano
+ * @param {Object} gameState - Estado del juego
+ */
+function updateTrainBoard(board, gameState) {
+  const isPlayerTurn =
+    gameState.currentPlayer === HUMAN_SEAT && gameState.phase === "playing";
+  const playerSides = isPlayerTurn ? getAvailableSides(board, HUMAN_SEAT) : [];
+
+  const trainsHTML = board.trainOrder
+    .map((trainId) => {
+      const train = board.trains[trainId];
+      const name =
+        trainId === MEXICAN_TRAIN ? "Tren mexicano" : `Tren de ${SEAT_NAMES[trainId]}`;
+      const icon = trainId === MEXICAN_TRAIN ? "🇲🇽" : "🚂";
+      const classes = [
+        "train-row",
+        trainId === HUMAN_SEAT ? "own-train" : "",
+        isTrainOpen(board, trainId) ? "open-train" : "",
+        playerSides.includes(trainId) ? "available-train" : "",
+        board.pendingDouble === trainId ? "pending-double" : "",
+      ].filter(Boolean);
+
+      const tilesHTML = train.tiles
+        .map((tile, index) =>
+          renderBoardTile(tile, {
+            classes: [
+              index === train.tiles.length - 1 &&
+              gameState.lastAction?.endsWith(`_${trainId}`)
+                ? "new-tile"
+                : "",
+            ],
+          })
+        )
+        .join("");
+
+      return `
+            <div class="${classes.join(" ")}">
+                <div class="train-header">
+                    <span class="train-name">${icon} ${name}</span>
+                    ${train.marked ? '<span class="train-marker" title="Tren abierto">🚩</span>' : ""}
+                    <span class="train-end">${train.endValue}</span>
+                </div>
+                <div class="train-tiles">${tilesHTML}</div>
+            </div>
+        `;
+    })
+    .join("");
+
+  domRefs.board.innerHTML = `
+        <div class="board-wrapper board-trains">
+            <div class="train-engine">
+                ${renderBoardTile(board.engine, { vertical: true, classes: ["spinner-tile"] })}
+                <div class="end-label">Máquina</div>
+            </div>
+            <div class="train-rows">${trainsHTML}</div>
+        </div>
+    `;
+}
+
+/**
+ * Genera el HTML de una ficha colocada en la mesa
+ * @param {Object} tile - Ficha colocada
+ * @param {Object} options - Opciones de presentación
+ * @param {boolean} options.vertical - Dibujar en vertical (spinner y sus brazos)
+ * @param {string[]} options.classes - Clases CSS adicionales
+ * @returns {string} HTML de la ficha
+ */
+function renderBoardTile(tile, { vertical = false, classes = [] } = {}) {
+  const orientation = vertical ? "vertical" : "horizontal";
+
+  return `
+            <div class="tile-wrapper board-tile ${classes.filter(Boolean).join(" ")}" data-id="${tile.id}">
+                ${renderTile(
+                  { ...tile, orientation },
+                  {
+                    ...uiConfig.tileSizes.board,
+                    orientation,
+                  }
+                )}
+                <div class="tile-info">${tile.a}-${tile.b}</div>
+            </div>
+        `;
+}
+
 /**
  * Renderiza la mano del jugador
  */
@@ -172,7 +347,7 @@ function updatePlayerHand() {
   if (!domRefs.playerHand) return;
 
   const gameState = getGameState();
-  const hand = gameState?.playerHand || [];
+  const hand = gameState?.hands[HUMAN_SEAT] || [];
 
   if (hand.length === 0) {
     domRefs.playerHand.innerHTML = `
@@ -213,16 +388,78 @@ function updatePlayerHand() {
 }
 
 /**
- * Renderiza la mano del oponente (oculta)
+ * Renderiza las manos de los asientos de IA (ocultas)
+ * Con un solo rival se muestra su mano; con varios, un grupo por asiento
+ * en orden de turno (derecha, enfrente, izquierda).
  */
 function updateOpponentHand() {
   if (!domRefs.opponentHand) return;
 
   const gameState = getGameState();
-  const hand = gameState?.opponentHand || [];
+  if (!gameState) return;
+
+  const aiSeats = gameState.seats.filter((seat) => seat !== HUMAN_SEAT);
 
+  if (aiSeats.length === 1) {
+    domRefs.opponentHand.innerHTML = renderHiddenHand(
+      gameState.hands[aiSeats[0]],
+      uiConfig.tileSizes.opponent
+    );
+    return;
+  }
+
+  let seatsHTML = '<div class="seat-hands">';
+
+  aiSeats.forEach((seat) => {
+    const hand = gameState.hands[seat];
+    const isTeammate = gameState.teams[seat] === gameState.teams[HUMAN_SEAT];
+    const isCurrent =
+      gameState.phase === "playing" && gameState.currentPlayer === seat;
+
+    seatsHTML += `
+            <div class="seat-hand ${isTeammate ? "teammate" : "rival"} ${
+      isCurrent ? "current-seat" : ""
+    }" data-seat="${seat}">
+                <div class="seat-header">
+                    <span class="seat-name">${isTeammate ? "🤝" : "🤖"} ${SEAT_NAMES[seat]}</span>
+                    <span class="seat-count">${hand.length} fichas</span>
+                </div>
+                ${renderHiddenHand(hand, uiConfig.tileSizes.seat)}
+            </div>
+        `;
+  });
+
+  seatsHTML += "</div>";
+  domRefs.opponentHand.innerHTML = seatsHTML;
+}
+
+/**
+ * Genera el HTML de una mano boca abajo (boca arriba si se revelan las manos)
+ * @param {Array} hand - Fichas de la mano
+ * @param {Object} size - Tamaño de las fichas {width, height}
+ * @returns {string} HTML de la mano
+ */
+function renderHiddenHand(hand, size) {
   let handHTML = '<div class="opponent-hand-tiles">';
 
+  if (revealHiddenHands) {
+    hand.forEach((tile) => {
+      handHTML += `
+            <div class="tile-wrapper opponent-tile revealed" data-id="${tile.id}">
+                ${renderTile(
+                  { ...tile, orientation: "vertical" },
+                  {
+                    ...size,
+                    color: uiConfig.colors.playerTile,
+                    orientation: "vertical",
+                  }
+                )}
+            </div>
+        `;
+    });
+    return handHTML + "</div>";
+  }
+
   // Mostrar fichas boca abajo
   hand.forEach((tile) => {
     handHTML += `
@@ -236,7 +473,7 @@ function updateOpponentHand() {
                     orientation: "vertical",
                   },
                   {
-                    ...uiConfig.tileSizes.opponent,
+                    ...size,
                     color: uiConfig.colors.opponentTile,
                     dotColor: uiConfig.colors.opponentTile,
                     orientation: "vertical",
@@ -248,7 +485,7 @@ function updateOpponentHand() {
   });
 
   handHTML += "</div>";
-  domRefs.opponentHand.innerHTML = handHTML;
+  return handHTML;
 }
 
 /**
@@ -262,7 +499,10 @@ function updateStock() {
 
   let stockHTML = '<div class="stock-pile">';
 
-  if (stock.length === 0) {
+  if (gameState?.options.drawRule === "block") {
+    // En el juego de bloqueo las fichas sobrantes quedan fuera de juego
+    stockHTML = `<div class="empty-stock">Sin robo · ${stock.length} fichas apartadas</div>`;
+  } else if (stock.length === 0) {
     stockHTML = '<div class="empty-stock">Pozo vacío</div>';
   } else {
     // Mostrar algunas fichas del pozo (máximo 5)
@@ -321,31 +561,56 @@ function updateMessage() {
       message = "Preparando juego...";
       break;
     case "playing":
-      if (gameState.currentPlayer === "player") {
+      if (gameState.currentPlayer === HUMAN_SEAT) {
         const playable = getCurrentPlayerPlayableTiles();
-        if (playable.length > 0) {
+        const { openingTile } = getGameStats();
+        if (openingTile) {
+          message = `Tu turno - Sal con el ${openingTile.id} (${
+            openingTile.reason === "highest-double" ? "doble más alto" : "ficha más alta"
+          })`;
+        } else if (playable.length > 0 && gameState.board.pendingDouble) {
+          message = "Tu turno - Cubre el doble antes de jugar en otro tren";
+        } else if (playable.length > 0) {
           message = "Tu turno - Selecciona una ficha para jugar";
         } else {
-          message =
-            "Tu turno - No tienes fichas jugables. Roba del pozo o pasa turno";
+          const stats = getGameStats();
+          message = stats.canPlayerDraw
+            ? "Tu turno - No tienes fichas jugables. Roba del pozo"
+            : "Tu turno - No tienes fichas jugables. Pasa turno";
           messageType = "warning";
         }
       } else {
-        message = "Turno del oponente...";
+        message = `Turno de ${SEAT_NAMES[gameState.currentPlayer]}...`;
       }
       break;
     case "finished":
-      if (gameState.winner === "player") {
-        message = "🎉 ¡Has ganado! 🎉";
+      if (gameState.winner === gameState.teams[HUMAN_SEAT]) {
+        message = gameState.mode === "partnership"
+          ? "🎉 ¡Tu pareja ha ganado! 🎉"
+          : "🎉 ¡Has ganado! 🎉";
         messageType = "success";
-      } else if (gameState.winner === "opponent") {
-        message = "😔 El oponente ganó. ¡Inténtalo de nuevo!";
+      } else if (gameState.winner !== "draw") {
+        message = gameState.mode === "cutthroat"
+          ? `😔 ${SEAT_NAMES[gameState.winner]} ganó. ¡Inténtalo de nuevo!`
+          : "😔 El oponente ganó. ¡Inténtalo de nuevo!";
         messageType = "error";
       } else {
         message = "🤝 Empate";
         messageType = "info";
       }
       break;
+    case "match-over":
+      if (gameState.matchWinner === gameState.teams[HUMAN_SEAT]) {
+        message = "🏆 ¡Has ganado el encuentro!";
+        messageType = "success";
+      } else if (gameState.matchWinner !== "draw") {
+        message = `😔 ${SEAT_NAMES[gameState.matchWinner]} ganó el encuentro`;
+        messageType = "error";
+      } else {
+        message = "🤝 Encuentro empatado";
+        messageType = "info";
+      }
+      break;
   }
 
   domRefs.message.innerHTML = `
@@ -371,12 +636,20 @@ function updateStats() {
   const playerTilesEl = document.getElementById('playerCount');
   const opponentTilesEl = document.getElementById('opponentCount');
   const boardTilesEl = document.getElementById('boardCount');
+  const aiTitleEl = document.getElementById('aiHandTitle');
+
+  // Con varios asientos de IA la cabecera resume las fichas de cada uno
+  const aiSeats = stats.seats.filter((seat) => seat !== HUMAN_SEAT);
+  const aiCountText = aiSeats.length === 1
+    ? `${stats.handCounts[aiSeats[0]]} fichas`
+    : aiSeats.map((seat) => stats.handCounts[seat]).join(' · ');
 
   if (roundEl) roundEl.textContent = stats.round || 1;
   if (stockEl) stockEl.textContent = stats.stockCount;
   if (playerTilesEl) playerTilesEl.textContent = `${stats.playerTilesCount} fichas`;
-  if (opponentTilesEl) opponentTilesEl.textContent = `${stats.opponentTilesCount} fichas`;
+  if (opponentTilesEl) opponentTilesEl.textContent = aiCountText;
   if (boardTilesEl) boardTilesEl.textContent = `${stats.boardCount} fichas`;
+  if (aiTitleEl) aiTitleEl.textContent = aiSeats.length === 1 ? '🤖 Oponente (IA)' : '🤖 Mesa (IA)';
 }
 
 /**
@@ -386,12 +659,35 @@ function updateCurrentPlayerIndicator() {
   if (!domRefs.currentPlayer) return;
 
   const gameState = getGameState();
-  const isPlayerTurn = gameState.currentPlayer === "player";
+  const isPlayerTurn = gameState.currentPlayer === HUMAN_SEAT;
 
-  domRefs.currentPlayer.textContent = isPlayerTurn ? "Turno: Jugador" : "Turno: IA";
+  domRefs.currentPlayer.textContent = isPlayerTurn
+    ? "Turno: Jugador"
+    : `Turno: ${gameState.seats.length > 2 ? SEAT_NAMES[gameState.currentPlayer] : "IA"}`;
   // No cambiamos la clase si no estamos seguros de que CSS la soporte para este elemento específico
 }
 
+/**
+ * Habilita los botones de robar y pasar según la regla de robo,
+ * y los de deshacer/rehacer según el historial (ocultos si están desactivados)
+ */
+function updateControlButtons() {
+  const stats = getGameStats();
+  if (!stats) return;
+
+  if (domRefs.drawButton) domRefs.drawButton.disabled = !stats.canPlayerDraw;
+  if (domRefs.passButton) domRefs.passButton.disabled = !stats.canPlayerPass;
+
+  [
+    [domRefs.undoButton, stats.canUndo],
+    [domRefs.redoButton, stats.canRedo],
+  ].forEach(([button, enabled]) => {
+    if (!button) return;
+    button.style.display = stats.allowUndo ? "" : "none";
+    button.disabled = !enabled;
+  });
+}
+
 /**
  * Actualiza las puntuaciones
  */
@@ -399,9 +695,14 @@ function updateScores() {
   const stats = getGameStats();
   if (!stats) return;
 
+  // Con varios rivales individuales se muestran todas sus puntuaciones
+  const rivalScores = Object.entries(stats.scores)
+    .filter(([team]) => team !== HUMAN_SEAT)
+    .map(([, score]) => score);
+
   if (domRefs.playerScore) domRefs.playerScore.textContent = stats.playerScore;
   if (domRefs.opponentScore)
-    domRefs.opponentScore.textContent = stats.opponentScore;
+    domRefs.opponentScore.textContent = rivalScores.join(" · ");
 }
 
 /**
@@ -579,8 +880,10 @@ export function hideModal() {
 
 /**
  * Muestra un modal de victoria
- * @param {string} winner - 'player' o 'opponent'
+ * @param {string} winner - 'player' o el equipo rival ganador
  * @param {Object} stats - Estadísticas del juego
+ * @param {Array<{name: string, value: number}>} stats.rivals - Marcador de cada rival (tres jugadores)
+ * @param {boolean} stats.nextHand - El encuentro sigue: el botón reparte la siguiente mano
  */
 export function showVictoryModal(winner, stats = {}) {
     const isPlayerWin = winner === 'player';
@@ -605,36 +908,127 @@ export function showVictoryModal(winner, stats = {}) {
                         <div style="font-size: 0.9rem; color: #94a3b8;">Tú</div>
                     </div>
                     <div style="font-size: 2rem; color: #64748b;">-</div>
-                    <div style="text-align: center;">
-                        <div style="font-size: 2rem; font-weight: 700; color: #ef4444;">
-                            ${stats.opponentScore}
-                        </div>
-                        <div style="font-size: 0.9rem; color: #94a3b8;">IA</div>
-                    </div>
+                    ${renderRivalColumns(stats.rivals || [{ name: 'IA', value: stats.opponentScore }])}
                 </div>
             ` : ''}
         `,
-        buttons: [
-            {
-                text: 'Jugar de nuevo',
-                primary: true,
-                callback: () => {
-                    // El callback se manejará desde index.html
-                    const event = new CustomEvent('newGameRequested');
-                    document.dispatchEvent(event);
-                }
-            }
-        ]
+        buttons: [getReviewButton(), getContinueButton(stats.nextHand, 'Jugar de nuevo')]
+    };
+
+    showModal(config);
+}
+
+/**
+ * Botón para revisar las jugadas de la mano terminada
+ * @returns {Object} Configuración del botón
+ */
+function getReviewButton() {
+    return {
+        text: '🔍 Revisar mano',
+        callback: () => {
+            // El callback se manejará desde index.html
+            document.dispatchEvent(new CustomEvent('reviewRequested'));
+        }
+    };
+}
+
+/**
+ * Botón para continuar tras una mano
+ * Dentro de un encuentro reparte la siguiente mano; si no, empieza una partida nueva.
+ * @param {boolean} nextHand - Si el encuentro sigue en juego
+ * @param {string} newGameText - Texto del botón cuando no hay encuentro
+ * @returns {Object} Configuración del botón
+ */
+function getContinueButton(nextHand, newGameText) {
+    return {
+        text: nextHand ? 'Siguiente mano' : newGameText,
+        primary: true,
+        callback: () => {
+            // El callback se manejará desde index.html
+            const event = new CustomEvent(nextHand ? 'nextHandRequested' : 'newGameRequested');
+            document.dispatchEvent(event);
+        }
+    };
+}
+
+/**
+ * Muestra el resumen final de un encuentro a varias manos
+ * @param {string} matchWinner - Equipo ganador del encuentro o 'draw'
+ * @param {Object} stats - Estadísticas del juego (getGameStats)
+ */
+export function showMatchSummaryModal(matchWinner, stats) {
+    const isPlayerWin = matchWinner === 'player';
+    const isDraw = matchWinner === 'draw';
+    const teamName = (team) => team === 'player'
+        ? (stats.mode === 'partnership' ? 'Tu pareja' : 'Tú')
+        : (stats.mode === 'partnership' ? 'Rivales' : SEAT_NAMES[team]);
+    const goal = stats.targetScore
+        ? `A ${stats.targetScore} puntos`
+        : `Al mejor de ${stats.totalRounds} manos`;
+
+    const rows = Object.keys(stats.scores).map(team => `
+                <tr style="${team === matchWinner ? 'font-weight: 700;' : ''}">
+                    <td style="padding: 4px 12px;">${teamName(team)}</td>
+                    <td style="padding: 4px 12px; text-align: center;">${stats.wins[team]}</td>
+                    <td style="padding: 4px 12px; text-align: center;">${stats.scores[team]}</td>
+                </tr>
+    `).join('');
+
+    const config = {
+        title: 'Fin del encuentro',
+        icon: isPlayerWin ? '🏆' : isDraw ? '🤝' : '😔',
+        type: isPlayerWin ? 'success' : isDraw ? 'info' : 'error',
+        body: `
+            <div class="modal-icon">${isPlayerWin ? '🎉' : isDraw ? '🤝' : '💔'}</div>
+            <p style="text-align: center; font-size: 1.2rem; font-weight: 600;">
+                ${isDraw ? 'El encuentro termina en empate' : `${teamName(matchWinner)} gana el encuentro`}
+            </p>
+            <p style="text-align: center; margin-top: 6px; color: #94a3b8;">
+                ${goal} · ${stats.round} ${stats.round === 1 ? 'mano jugada' : 'manos jugadas'}
+            </p>
+            <table style="margin: 16px auto 0; border-collapse: collapse;">
+                <tr style="color: #94a3b8; font-size: 0.9rem;">
+                    <th style="padding: 4px 12px;"></th>
+                    <th style="padding: 4px 12px;">Manos</th>
+                    <th style="padding: 4px 12px;">Puntos</th>
+                </tr>
+                ${rows}
+            </table>
+        `,
+        buttons: [getReviewButton(), getContinueButton(false, 'Nuevo encuentro')]
     };
 
     showModal(config);
 }
 
+/**
+ * Genera las columnas de puntuación de los rivales para los modales
+ * @param {Array<{name: string, value: number}>} rivals - Rivales a mostrar
+ * @returns {string} HTML de las columnas
+ */
+function renderRivalColumns(rivals) {
+    return rivals.map(rival => `
+                    <div style="text-align: center;">
+                        <div style="font-size: 2rem; font-weight: 700; color: #ef4444;">
+                            ${rival.value}
+                        </div>
+                        <div style="font-size: 0.9rem; color: #94a3b8;">${rival.name}</div>
+                    </div>
+    `).join('');
+}
+
 /**
  * Muestra un modal de juego bloqueado
  * @param {Object} stats - Estadísticas del juego
+ * @param {number} stats.playerPoints - Puntos en mano del jugador (o de su pareja)
+ * @param {number} stats.opponentPoints - Puntos en mano del rival
+ * @param {Array<{name: string, value: number}>} stats.rivals - Puntos de cada rival (tres jugadores)
+ * @param {boolean} stats.nextHand - El encuentro sigue: el botón reparte la siguiente mano
  */
 export function showBlockedModal(stats = {}) {
+    const rivals = stats.rivals || [{ name: 'Puntos IA', value: stats.opponentPoints }];
+    const playerWins = rivals.every(rival => stats.playerPoints < rival.value);
+
     const config = {
         title: 'Juego Bloqueado',
         icon: '🔒',
@@ -656,28 +1050,14 @@ export function showBlockedModal(stats = {}) {
                         <div style="font-size: 0.9rem; color: #94a3b8;">Tus puntos</div>
                     </div>
                     <div style="font-size: 2rem; color: #64748b;">vs</div>
-                    <div style="text-align: center;">
-                        <div style="font-size: 2rem; font-weight: 700; color: #ef4444;">
-                            ${stats.opponentPoints}
-                        </div>
-                        <div style="font-size: 0.9rem; color: #94a3b8;">Puntos IA</div>
-                    </div>
+                    ${renderRivalColumns(rivals)}
                 </div>
-                <p style="text-align: center; margin-top: 16px; font-weight: 600; color: ${stats.playerPoints < stats.opponentPoints ? '#10b981' : '#ef4444'};">
-                    ${stats.playerPoints < stats.opponentPoints ? '¡Tú ganas! 🎉' : 'IA gana 😔'}
+                <p style="text-align: center; margin-top: 16px; font-weight: 600; color: ${playerWins ? '#10b981' : '#ef4444'};">
+                    ${playerWins ? '¡Tú ganas! 🎉' : 'IA gana 😔'}
                 </p>
             ` : ''}
         `,
-        buttons: [
-            {
-                text: 'Nueva partida',
-                primary: true,
-                callback: () => {
-                    const event = new CustomEvent('newGameRequested');
-                    document.dispatchEvent(event);
-                }
-            }
-        ]
+        buttons: [getReviewButton(), getContinueButton(stats.nextHand, 'Nueva partida')]
     };
 
     showModal(config);
@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+ * Comprobaciones del motor
+ * Juega manos con semilla en partidas de createGame y verifica reglas que
+ * no se ven a simple vista. Termina con código 1 si alguna falla.
+ *
+ * Uso:
+ *   node tools/check.mjs
+ *
+ * @module Check
+ */
+
+import assert from "node:assert/strict";
+import * as defaultGame from "../src/js/game.js";
+import { createGame, SILENT_LOGGER, HUMAN_SEAT } from "../src/js/game.js";
+import { exportRecord, importRecord, buildReplayFrames } from "../src/js/record.js";
+import { startReplay, stepForward, stopReplay } from "../src/js/replay.js";
+import { createAIPlayer } from "../src/js/ai.js";
+import { createRatingState, normalizeRatingState, recordHandResult } from "../src/js/adaptive.js";
+import { createRandom } from "../src/js/random.js";
+
+/**
+ * Comprobaciones registradas: [nombre, función]
+ * @type {Array<[string, Function]>}
+ */
+const checks = [];
+
+/**
+ * Registra una comprobación
+ * @param {string} name - Descripción
+ * @param {Function} fn - Lanza un error si la comprobación falla
+ */
+function check(name, fn) {
+  checks.push([name, fn]);
+}
+
+/**
+ * Crea una partida en la que la IA juega todos los asientos
+ * @param {Object} options - Opciones de createGame
+ * @returns {import('../src/js/game.js').GameInstance} Partida
+ */
+function createAIGame(options = {}) {
+  return createGame({ logger: SILENT_LOGGER, humanSeat: null, ...options });
+}
+
+check("cincos: se anotan múltiplos de cinco sin modificar estados anteriores", () => {
+  let scored = 0;
+  for (let i = 0; i < 20 && scored === 0; i++) {
+    const game = createAIGame({ scoring: "all-fives", seed: `fives-${i}` });
+    while (game.getGameState().phase === "playing") {
+      const { scores } = game.getGameState();
+      const copy = { ...scores };
+      game.aiPlay();
+      assert.deepEqual(scores, copy);
+      const { phase, scores: next } = game.getGameState();
+      if (phase !== "playing") continue;
+
+      // Durante la mano solo se anotan múltiplos de cinco
+      Object.keys(next).forEach((team) => assert.equal((next[team] - scores[team]) % 5, 0));
+      if (next !== scores) scored += 1;
+    }
+  }
+  assert.ok(scored > 0, "ninguna mano anotó puntos");
+});
+
+/**
+ * Juega con la IA hasta que termine la mano
+ * @param {import('../src/js/game.js').GameInstance} game - Partida
+ * @returns {Object} Datos del evento handEnded
+ */
+function playOutHand(game) {
+  let result = null;
+  const onHandEnded = (payload) => {
+    result = payload;
+  };
+  game.on("handEnded", onHandEnded);
+  for (let turn = 0; !result && turn < 1000; turn++) game.aiPlay();
+  game.off("handEnded", onHandEnded);
+  assert.ok(result, "la mano no terminó");
+  return result;
+}
+
+/**
+ * Puntos en mano de cada equipo
+ * @param {Object} state - Estado de la partida
+ * @returns {Object<string, number>} Puntos por equipo
+ */
+function getHandPoints(state) {
+  const points = {};
+  state.seats.forEach((seat) => {
+    const team = state.teams[seat];
+    points[team] = (points[team] ?? 0) + state.hands[seat].reduce((sum, t) => sum + t.a + t.b, 0);
+  });
+  return points;
+}
+
+/**
+ * Puntos que cobra el ganador con la puntuación estándar: lo que tienen en
+ * mano los rivales o, si la mano se cerró, la diferencia con cada uno
+ * @param {Object<string, number>} points - Puntos en mano por equipo
+ * @param {string} winner - Equipo ganador
+ * @param {boolean} isBlocked - Si la mano se cerró
+ * @returns {number} Puntos
+ */
+function getExpectedScore(points, winner, isBlocked) {
+  return Object.entries(points)
+    .filter(([team]) => team !== winner)
+    .reduce((total, [, value]) => total + value - (isBlocked ? points[winner] : 0), 0);
+}
+
+/**
+ * Juega manos con la IA hasta ver una ganada por dominó y otra cerrada
+ * @param {Object} options - Opciones de createGame
+ * @param {function(Object, Object): void} verify - Recibe el evento handEnded y el estado final
+ */
+function checkBothEndings(options, verify) {
+  const seen = new Set();
+  for (let i = 0; i < 40 && seen.size < 2; i++) {
+    const game = createAIGame({ ...options, seed: `${options.mode}-${i}` });
+    const result = playOutHand(game);
+    verify(result, game.getGameState());
+    if (result.winner !== "draw") seen.add(result.isBlocked);
+  }
+  assert.equal(seen.size, 2, "no se vieron manos ganadas por dominó y cerradas");
+}
+
+check("parejas: cuatro asientos en dos equipos, turno rotatorio y puntos por equipo", () => {
+  const start = createAIGame({ mode: "partnership", seed: "teams" }).getGameState();
+  assert.deepEqual(start.seats, ["player", "opponent", "partner", "opponent2"]);
+  assert.deepEqual(start.teams, {
+    player: "player",
+    opponent: "opponent",
+    partner: "player",
+    opponent2: "opponent",
+  });
+  start.seats.forEach((seat) => assert.equal(start.hands[seat].length, 7));
+  assert.deepEqual(Object.keys(start.scores).sort(), ["opponent", "player"]);
+
+  checkBothEndings({ mode: "partnership" }, (result, state) => {
+    // Sin pozo nadie roba: cada jugada o pase es del asiento siguiente
+    state.moves.slice(1).forEach((move, i) => {
+      const previous = state.seats.indexOf(state.moves[i].seat);
+      assert.equal(move.seat, state.seats[(previous + 1) % state.seats.length]);
+    });
+
+    const points = getHandPoints(state);
+    if (result.winner === "draw") return;
+    assert.equal(state.teams[result.winnerSeat], result.winner);
+    if (result.isBlocked) {
+      assert.equal(points[result.winner], Math.min(...Object.values(points)));
+    }
+    assert.equal(result.score, getExpectedScore(points, result.winner, result.isBlocked));
+  });
+});
+
+check("tres jugadores: siete fichas cada uno, siete en el pozo y puntos de las tres manos", () => {
+  const start = createAIGame({ mode: "cutthroat", seed: "three" }).getGameState();
+  assert.deepEqual(start.seats, ["player", "opponent", "opponent2"]);
+  start.seats.forEach((seat) => {
+    assert.equal(start.teams[seat], seat);
+    assert.equal(start.hands[seat].length, 7);
+  });
+  assert.equal(start.stock.length, 7);
+
+  checkBothEndings({ mode: "cutthroat" }, (result, state) => {
+    const points = getHandPoints(state);
+    if (result.winner === "draw") {
+      const lowest = Math.min(...Object.values(points));
+      assert.ok(Object.values(points).filter((value) => value === lowest).length > 1);
+      return;
+    }
+    if (result.isBlocked) {
+      const others = Object.entries(points).filter(([seat]) => seat !== result.winner);
+      assert.ok(others.every(([, value]) => value > points[result.winner]));
+    } else {
+      assert.equal(state.hands[result.winner].length, 0);
+    }
+    assert.equal(result.score, getExpectedScore(points, result.winner, result.isBlocked));
+  });
+});
+
+check("reglas de robo: bloqueo sin pozo, robar una y robar hasta poder jugar", () => {
+  for (let i = 0; i < 10; i++) {
+    const blockGame = createAIGame({ drawRule: "block", seed: `rule-${i}` });
+    playOutHand(blockGame);
+    assert.ok(blockGame.getGameState().moves.every((move) => move.action !== "draw"));
+
+    // Robar una: tras un robo, el mismo asiento juega la ficha o cede el turno
+    const oneGame = createAIGame({ drawRule: "draw-one", seed: `rule-${i}` });
+    playOutHand(oneGame);
+    const oneMoves = oneGame.getGameState().moves;
+    oneMoves.forEach((move, index) => {
+      const next = oneMoves[index + 1];
+      if (move.action === "draw" && next?.seat === move.seat) {
+        assert.equal(next.action, "play");
+      }
+    });
+
+    // Robar hasta poder jugar: solo se cede el turno sin jugar con el pozo vacío
+    const untilGame = createAIGame({ drawRule: "draw-until-playable", seed: `rule-${i}` });
+    const stockSize = untilGame.getGameState().stock.length;
+    playOutHand(untilGame);
+    const untilMoves = untilGame.getGameState().moves;
+    let draws = 0;
+    untilMoves.forEach((move, index) => {
+      if (move.action === "draw") draws += 1;
+      const next = untilMoves[index + 1];
+      const endsTurn = next && next.seat !== move.seat;
+      if (move.action === "pass" || (move.action === "draw" && endsTurn)) {
+        assert.equal(draws, stockSize);
+      }
+    });
+  }
+
+  const human = createGame({ logger: SILENT_LOGGER, drawRule: "block", seed: "rule-human" });
+  assert.equal(human.playerDrawTile(), null);
+});
+
+check("tren mexicano: cada jugador suma sus puntos en mano y gana quien menos tiene", () => {
+  ["individual", "cutthroat"].forEach((mode) => {
+    for (let i = 0; i < 4; i++) {
+      const game = createAIGame({ variant: "mexican-train", mode, seed: `train-${mode}-${i}` });
+      const { winner, score } = playOutHand(game);
+      const state = game.getGameState();
+      const points = getHandPoints(state);
+
+      assert.deepEqual(state.scores, points);
+      const lowest = Math.min(...Object.values(points));
+      if (winner === "draw") {
+        assert.ok(Object.values(points).filter((p) => p === lowest).length > 1);
+      } else {
+        assert.equal(points[winner], lowest);
+        assert.equal(score, lowest);
+      }
+    }
+  });
+});
+
+check("tren mexicano a puntos: gana el encuentro quien menos puntos acumula", () => {
+  const game = createAIGame({ variant: "mexican-train", targetScore: 100, seed: "train-match" });
+  for (let hand = 0; hand < 30 && game.getGameState().phase !== "match-over"; hand++) {
+    if (hand > 0) game.restartGame();
+    playOutHand(game);
+  }
+
+  const { matchWinner, scores } = game.getGameState();
+  assert.ok(matchWinner, "el encuentro no terminó");
+  assert.ok(Math.max(...Object.values(scores)) >= 100);
+  assert.equal(scores[matchWinner], Math.min(...Object.values(scores)));
+});
+
+check("tren mexicano: quien coloca un doble vuelve a jugar para cubrirlo", () => {
+  let doubles = 0;
+  for (let i = 0; i < 4; i++) {
+    const game = createAIGame({ variant: "mexican-train", seed: `train-double-${i}` });
+    playOutHand(game);
+    const { moves } = game.getGameState();
+    moves.forEach((move, index) => {
+      const [a, b] = move.tile?.split("-") ?? [];
+      const next = moves[index + 1];
+      if (move.action !== "play" || a !== b || !next) return;
+      assert.equal(next.seat, move.seat);
+      doubles += 1;
+    });
+  }
+  assert.ok(doubles > 0, "ninguna mano colocó dobles");
+});
+
+/**
+ * Juega un turno del humano con su primera ficha jugable (o roba, o pasa) y
+ * deja que la IA responda hasta que le vuelva a tocar
+ * @param {import('../src/js/game.js').GameInstance} game - Partida con humano
+ */
+function playHumanTurn(game) {
+  const [playable] = game.getCurrentPlayerPlayableTiles();
+  if (playable) {
+    game.playerPlay(playable.tile.id, playable.sides[0]);
+  } else if (!game.playerDrawTile()) {
+    game.playerPassTurn();
+  }
+  const isAITurn = ({ phase, currentPlayer }) => phase === "playing" && currentPlayer !== HUMAN_SEAT;
+  while (isAITurn(game.getGameState())) game.aiPlay();
+}
+
+check("deshacer devuelve la partida entera al turno del jugador y rehacer la recupera", () => {
+  const game = createGame({ logger: SILENT_LOGGER, seed: "undo", startingPlayer: "player" });
+  const before = JSON.stringify(game.getGameState());
+  playHumanTurn(game);
+  playHumanTurn(game);
+  const after = JSON.stringify(game.getGameState());
+
+  assert.ok(game.undoMove() && game.undoMove());
+  assert.equal(JSON.stringify(game.getGameState()), before);
+  assert.equal(game.canUndo(), false);
+
+  // Las mismas jugadas dan las mismas respuestas de la IA
+  assert.ok(game.redoMove() && game.redoMove());
+  assert.equal(JSON.stringify(game.getGameState()), after);
+  game.undoMove();
+  game.undoMove();
+  playHumanTurn(game);
+  playHumanTurn(game);
+  assert.equal(JSON.stringify(game.getGameState()), after);
+
+  const ranked = createGame({
+    logger: SILENT_LOGGER,
+    seed: "undo",
+    startingPlayer: "player",
+    allowUndo: false,
+  });
+  playHumanTurn(ranked);
+  assert.equal(ranked.canUndo(), false);
+  assert.equal(ranked.undoMove(), false);
+});
+
+check("las acciones del humano usan el asiento humano de la partida", () => {
+  const aiOnly = createAIGame({ seed: "seats", startingPlayer: "player" });
+  const [playable] = aiOnly.getCurrentPlayerPlayableTiles();
+  assert.equal(aiOnly.playerPlay(playable.tile.id, playable.sides[0]), null);
+  assert.equal(aiOnly.playerDrawTile(), null);
+  assert.equal(aiOnly.playerPassTurn(), false);
+  assert.equal(aiOnly.getGameState().moves.length, 0);
+
+  const south = createGame({
+    logger: SILENT_LOGGER,
+    mode: "partnership",
+    humanSeat: "partner",
+    seed: "seats",
+    openingRule: "free",
+    startingPlayer: "player",
+  });
+  const [first] = south.getCurrentPlayerPlayableTiles();
+  assert.equal(south.playerPlay(first.tile.id, first.sides[0]), null);
+  while (south.getGameState().currentPlayer !== "partner") south.aiPlay();
+  const [own] = south.getCurrentPlayerPlayableTiles();
+  if (own) {
+    assert.ok(south.playerPlay(own.tile.id, own.sides[0]));
+  } else {
+    assert.ok(south.playerDrawTile() || south.playerPassTurn());
+  }
+  assert.equal(south.getGameState().moves.at(-1).seat, "partner");
+});
+
+check("el rival no deduce nada de los robos del jugador, que puede robar teniendo jugada", () => {
+  let tested = 0;
+  for (let i = 0; i < 20 && tested < 3; i++) {
+    const game = createGame({ logger: SILENT_LOGGER, seed: `draw-${i}`, openingRule: "free" });
+    while (game.getGameState().currentPlayer !== HUMAN_SEAT) game.aiPlay();
+    if (game.getCurrentPlayerPlayableTiles().length === 0) continue;
+
+    const stock = game.getGameState().stock;
+    assert.ok(game.playerDrawTile());
+    // Robar crea un estado nuevo, como jugar: el pozo anterior no cambia
+    assert.equal(stock.length, game.getGameState().stock.length + 1);
+    assert.deepEqual(game.getGameState().moves.at(-1), { seat: HUMAN_SEAT, action: "draw" });
+    assert.equal(game.getInference("opponent").missing[HUMAN_SEAT], undefined);
+    tested += 1;
+  }
+  assert.ok(tested > 0, "ninguna mano permitió un robo voluntario");
+
+  // Los robos obligados de la IA sí dicen qué valores le faltan
+  let forced = 0;
+  for (let i = 0; i < 10; i++) {
+    const game = createAIGame({ seed: `forced-${i}` });
+    while (game.getGameState().phase === "playing") {
+      const { currentPlayer: seat, moves } = game.getGameState();
+      game.aiPlay();
+      const turn = game.getGameState().moves.slice(moves.length);
+      if (turn.at(-1)?.action === "draw") {
+        const other = game.getGameState().seats.find((s) => s !== seat);
+        assert.ok(game.getInference(other).missing[seat]?.length > 0);
+        forced += 1;
+      }
+    }
+  }
+  assert.ok(forced > 0, "ninguna mano tuvo robos obligados sin jugada");
+});
+
+check("el worker y aiPlay toman la misma decisión y las peticiones descartadas no cuentan", () => {
+  const options = {
+    seed: "decisions",
+    aiPlayers: { player: { level: "medium", noise: 30 }, opponent: { level: "expert" } },
+  };
+  const search = { maxSamples: 8, timeBudgetMs: 60000 };
+  const game = createAIGame(options);
+  const discarding = createAIGame(options);
+  let compared = 0;
+
+  while (game.getGameState().phase === "playing") {
+    // Lo que calcularía el worker con la petición
+    const request = game.getAIRequest(search);
+    const worker = createAIPlayer({ ...request.ai, random: createRandom(request.context.seed) });
+    const expected = request.forcedTileId
+      ? null
+      : worker.selectBestMove(request.board, request.hand, request.context);
+    const { length } = game.getGameState().moves;
+    game.aiPlay(search);
+    const [move] = game.getGameState().moves.slice(length);
+    if (!request.forcedTileId) {
+      assert.deepEqual(
+        move.action === "play" ? { tile: move.tile, side: move.side } : null,
+        expected && { tile: expected.tile.id, side: expected.side }
+      );
+      compared += 1;
+    }
+
+    // Peticiones que nunca se aplican (canceladas o caducadas)
+    discarding.getAIRequest(search);
+    discarding.getAIRequest(search);
+    discarding.aiPlay(search);
+    assert.deepEqual(discarding.getGameState().moves, game.getGameState().moves);
+  }
+  assert.ok(compared > 0);
+});
+
+check("el rating cuenta cada mano una sola vez, aunque salga del historial", () => {
+  const first = recordHandResult(createRatingState(), { score: 1, aiRating: 1000, hand: "7:1" });
+  assert.equal(recordHandResult(first, { score: 0, aiRating: 1000, hand: "7:1" }), first);
+
+  const next = recordHandResult(first, { score: 0, aiRating: 1000, hand: "7:2" });
+  assert.equal(next.hands, 2);
+  assert.ok(next.rating < first.rating);
+
+  // Muchas manos después, guardado y vuelto a cargar
+  let state = first;
+  for (let hand = 0; hand < 150; hand++) {
+    state = recordHandResult(state, { score: hand % 2, aiRating: 1000, hand: `8:${hand}` });
+  }
+  assert.ok(state.history.every((entry) => entry.hand !== "7:1"));
+  const saved = normalizeRatingState(JSON.parse(JSON.stringify(state)));
+  assert.equal(recordHandResult(saved, { score: 1, aiRating: 1000, hand: "7:1" }), saved);
+});
+
+/**
+ * Ejecuta una función sin los mensajes de consola de la partida por defecto
+ * @param {Function} fn - Función
+ * @returns {*} Lo que devuelva la función
+ */
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+/**
+ * Juega unos turnos en la partida por defecto (el humano con su primera
+ * ficha jugable) para que tenga historial de deshacer
+ * @param {string} seed - Semilla
+ * @param {number} turns - Turnos a jugar
+ */
+function playDefaultTurns(seed, turns) {
+  defaultGame.initGame({ seed });
+  for (let turn = 0; turn < turns && defaultGame.getGameState().phase === "playing"; turn++) {
+    if (defaultGame.getGameState().currentPlayer !== HUMAN_SEAT) {
+      defaultGame.aiPlay();
+      continue;
+    }
+    const [playable] = defaultGame.getCurrentPlayerPlayableTiles();
+    if (playable) {
+      defaultGame.playerPlay(playable.tile.id, playable.sides[0]);
+    } else if (!defaultGame.playerDrawTile()) {
+      defaultGame.playerPassTurn();
+    }
+  }
+}
+
+check("validar un registro no borra el historial de deshacer de la partida en curso", () => {
+  quietly(() => {
+    playDefaultTurns("undo-record", 6);
+    assert.ok(defaultGame.canUndo(), "la partida no tiene historial");
+    const state = JSON.stringify(defaultGame.getGameState());
+    const record = exportRecord();
+
+    assert.ok(buildReplayFrames(record).valid);
+    const rejected = importRecord({ ...record, moves: [{ seat: "opponent", action: "pass" }] });
+    assert.equal(rejected.valid, false);
+
+    assert.ok(defaultGame.canUndo());
+    assert.equal(JSON.stringify(defaultGame.getGameState()), state);
+  });
+});
+
+check("importar una mano conserva deshacer y las pistas de una partida puntuada", () => {
+  quietly(() => {
+    playDefaultTurns("import-source", 4);
+    const record = exportRecord();
+
+    defaultGame.initGame({ seed: "ranked", allowUndo: false, hintBudget: 2 });
+    assert.ok(importRecord(record).valid);
+    const { options, moves } = defaultGame.getGameState();
+    assert.equal(options.allowUndo, false);
+    assert.equal(options.hintBudget, 2);
+    assert.equal(moves.length, record.moves.length);
+  });
+});
+
+check("abrir y cerrar una repetición conserva deshacer y rehacer", () => {
+  quietly(() => {
+    playDefaultTurns("undo-replay", 8);
+    assert.ok(defaultGame.undoMove(), "no se pudo deshacer");
+    const state = JSON.stringify(defaultGame.getGameState());
+    const [canUndo, canRedo] = [defaultGame.canUndo(), defaultGame.canRedo()];
+    assert.ok(canRedo);
+
+    assert.ok(startReplay(exportRecord()).valid);
+    stepForward();
+    stopReplay();
+
+    assert.equal(JSON.stringify(defaultGame.getGameState()), state);
+    assert.equal(defaultGame.canUndo(), canUndo);
+    assert.equal(defaultGame.canRedo(), canRedo);
+    assert.ok(defaultGame.redoMove());
+  });
+});
+
+/**
+ * Punto de entrada de la línea de órdenes
+ */
+function main() {
+  let failed = 0;
+  checks.forEach(([name, fn]) => {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed += 1;
+      console.error(`❌ ${name}\n   ${e.message}`);
+    }
+  });
+
+  console.log(`\n${checks.length - failed}/${checks.length} comprobaciones correctas`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Simulador de partidas IA contra IA
+ * Juega muchas manos con semilla entre dos configuraciones de IA e informa
+ * del porcentaje de victorias (con intervalo de confianza), los puntos por
+ * mano, la frecuencia de cierres y el tiempo medio de decisión.
+ *
+ * Cada reparto se juega dos veces cambiando de asiento a las configuraciones,
+ * así la suerte del reparto y de la salida se compensa.
+ *
+ * Uso:
+ *   node tools/simulate.mjs --a hard --b medium --games 2000 --seed 1
+ *   node tools/simulate.mjs --a hard --b medium --json > hard-vs-medium.json
+ *   node tools/simulate.mjs --a medium:blocker --b medium --games 2000
+ *   node tools/simulate.mjs --a hard --b adaptive --games 600 --samples 60 --time-ms 100000
+ *
+ * Con "adaptive" un lado es la IA adaptativa: tras cada mano se actualiza el
+ * rating del otro lado (el "jugador") y la IA elige su fuerza para la
+ * siguiente, como en el navegador.
+ *
+ * @module Simulate
+ */
+
+import { parseArgs } from "node:util";
+import { performance } from "node:perf_hooks";
+import { createGame, GAME_MODES, SILENT_LOGGER } from "../src/js/game.js";
+import { AI_DIFFICULTIES, AI_PERSONALITIES } from "../src/js/ai.js";
+import { createRatingState, recordHandResult, getAdaptiveSettings } from "../src/js/adaptive.js";
+
+/**
+ * Valor z del intervalo de confianza del 95 %
+ * @type {number}
+ */
+const Z_95 = 1.96;
+
+/**
+ * Modos admitidos: dos equipos, uno por configuración
+ * @type {string[]}
+ */
+const SIMULATION_MODES = ["individual", "partnership"];
+
+/**
+ * Nivel que representa a la IA adaptativa en --a o --b
+ * @type {string}
+ */
+const ADAPTIVE_LEVEL = "adaptive";
+
+/**
+ * Turnos máximos por mano antes de darla por atascada
+ * @type {number}
+ */
+const MAX_TURNS_PER_HAND = 1000;
+
+const HELP = `Uso: node tools/simulate.mjs [opciones]
+
+  --a <nivel>          IA A: ${AI_DIFFICULTIES.join(", ")} (por defecto hard),
+                       con personalidad opcional tras dos puntos (medium:blocker):
+                       ${Object.keys(AI_PERSONALITIES).join(", ")}
+                       o ${ADAPTIVE_LEVEL}: la IA adaptativa contra el otro lado
+  --b <nivel>          IA B (por defecto medium)
+  --games <n>          Manos a jugar; se redondea a par (por defecto 1000)
+  --seed <semilla>     Semilla base de los repartos (por defecto 1)
+  --mode <modo>        ${SIMULATION_MODES.join(" o ")} (por defecto individual)
+  --max-pip <n>        Juego de fichas: 6, 9, 12 o 15 (por defecto 6)
+  --draw-rule <regla>  block, draw-one o draw-until-playable (por defecto draw-one)
+  --scoring <sistema>  standard o all-fives (por defecto standard)
+  --time-ms <ms>       Tiempo por decisión del nivel expert (por defecto 300)
+  --samples <n>        Repartos máximos por decisión del nivel expert; con un
+                       tiempo muy alto hace la simulación reproducible (con
+                       ${ADAPTIVE_LEVEL}, tope de los repartos que elige la IA adaptativa)
+  --json               Informe en JSON (para comparar entre commits)
+  --help               Esta ayuda`;
+
+/**
+ * Intervalo de confianza de Wilson para una proporción
+ * @param {number} successes - Éxitos
+ * @param {number} trials - Intentos
+ * @returns {{low: number, high: number}} Intervalo al 95 %
+ */
+function wilsonInterval(successes, trials) {
+  if (trials === 0) return { low: 0, high: 0 };
+
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const center = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin =
+    (Z_95 * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) /
+    (1 + z2 / trials);
+  return { low: round(center - margin), high: round(center + margin) };
+}
+
+/**
+ * Redondea a 4 decimales para que el JSON sea estable y legible
+ * @param {number} value - Valor
+ * @returns {number} Valor redondeado
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Lee una configuración de IA: nivel y personalidad opcional ("medium:blocker")
+ * @param {string} value - Valor de --a o --b
+ * @returns {{label: string, level: string, weights: Object<string, number>,
+ *   adaptive: boolean}} Configuración
+ * @throws {Error} Si el nivel o la personalidad no existen
+ */
+function parseAIOption(value) {
+  const [level, personality = "balanced"] = value.split(":");
+  if (level === ADAPTIVE_LEVEL && personality === "balanced") {
+    return { label: value, level: null, weights: {}, adaptive: true };
+  }
+  if (!AI_DIFFICULTIES.includes(level)) {
+    throw new Error(`Nivel de IA desconocido: ${level}`);
+  }
+  if (!AI_PERSONALITIES[personality]) {
+    throw new Error(`Personalidad de IA desconocida: ${personality}`);
+  }
+  return {
+    label: value,
+    level,
+    weights: AI_PERSONALITIES[personality].weights,
+    adaptive: false,
+  };
+}
+
+/**
+ * Lee y valida los argumentos de la línea de órdenes
+ * @param {string[]} argv - Argumentos
+ * @returns {Object} Configuración de la simulación
+ * @throws {Error} Si algún argumento no es válido
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      a: { type: "string", default: "hard" },
+      b: { type: "string", default: "medium" },
+      games: { type: "string", default: "1000" },
+      seed: { type: "string", default: "1" },
+      mode: { type: "string", default: "individual" },
+      "max-pip": { type: "string", default: "6" },
+      "draw-rule": { type: "string", default: "draw-one" },
+      scoring: { type: "string", default: "standard" },
+      "time-ms": { type: "string" },
+      samples: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  const ai = { a: parseAIOption(values.a), b: parseAIOption(values.b) };
+  if (ai.a.adaptive && ai.b.adaptive) {
+    throw new Error(`Solo un lado puede ser ${ADAPTIVE_LEVEL}`);
+  }
+  if (!SIMULATION_MODES.includes(values.mode)) {
+    throw new Error(`Modo no admitido en simulación: ${values.mode}`);
+  }
+
+  const games = Number(values.games);
+  if (!Number.isInteger(games) || games < 2) {
+    throw new Error(`Número de manos no válido: ${values.games}`);
+  }
+
+  const search = {};
+  [
+    ["time-ms", "timeBudgetMs"],
+    ["samples", "maxSamples"],
+  ].forEach(([option, key]) => {
+    if (values[option] === undefined) return;
+    const value = Number(values[option]);
+    if (!(value > 0)) {
+      throw new Error(`Valor no válido para --${option}: ${values[option]}`);
+    }
+    search[key] = value;
+  });
+
+  return {
+    a: values.a,
+    b: values.b,
+    ai,
+    games: games + (games % 2),
+    seed: values.seed,
+    search,
+    json: values.json,
+    help: values.help,
+    rules: {
+      mode: values.mode,
+      maxPip: Number(values["max-pip"]),
+      drawRule: values["draw-rule"],
+      scoring: values.scoring,
+    },
+  };
+}
+
+/**
+ * Crea los acumuladores de una configuración
+ * @param {{label: string, level: string, weights: Object}} ai - Configuración de la IA
+ * @param {Object} search - Presupuesto de búsqueda del nivel expert
+ * @returns {Object} Acumuladores a cero
+ */
+function createTally(ai, search) {
+  return {
+    ai,
+    search,
+    difficulty: ai.label,
+    wins: 0,
+    points: 0,
+    blockedWins: 0,
+    decisions: 0,
+    decisionMs: 0,
+  };
+}
+
+/**
+ * Juega una mano completa entre dos configuraciones
+ * @param {Object} config - Configuración de la simulación
+ * @param {string} handSeed - Semilla del reparto
+ * @param {Object<string, Object>} tallyByTeam - Acumulador de cada equipo
+ * @returns {{winner: string, score: number, isBlocked: boolean}} Resultado
+ */
+function playHand(config, handSeed, tallyByTeam) {
+  const { seats, teams } = GAME_MODES[config.rules.mode];
+  const game = createGame({
+    ...config.rules,
+    seed: handSeed,
+    logger: SILENT_LOGGER,
+    humanSeat: null,
+    // Cada asiento con el nivel y los pesos de la configuración de su equipo
+    aiPlayers: Object.fromEntries(
+      seats.map((seat) => {
+        const { level, weights, noise = 0 } = tallyByTeam[teams[seat]].ai;
+        return [seat, { level, weights, noise }];
+      })
+    ),
+  });
+
+  let result = null;
+  game.on("handEnded", (payload) => {
+    result = payload;
+  });
+
+  for (let turn = 0; !result && turn < MAX_TURNS_PER_HAND; turn++) {
+    const tally = tallyByTeam[teams[game.getGameState().currentPlayer]];
+
+    const start = performance.now();
+    game.aiPlay(tally.search);
+    tally.decisionMs += performance.now() - start;
+    tally.decisions += 1;
+  }
+
+  if (!result) {
+    throw new Error(`La mano ${handSeed} no terminó`);
+  }
+  return result;
+}
+
+/**
+ * Configura la IA adaptativa para la siguiente mano según el rating del jugador
+ * @param {Object} tally - Acumulador de la IA adaptativa
+ * @param {import('../src/js/adaptive.js').RatingState} rating - Rating del lado fijo
+ * @param {Object} search - Presupuesto de --time-ms y --samples
+ * @returns {Object} Configuración de getAdaptiveSettings
+ */
+function applyAdaptiveSettings(tally, rating, search) {
+  const settings = getAdaptiveSettings(rating.strength);
+  tally.ai = { ...tally.ai, level: settings.level, noise: settings.noise };
+  tally.search = {
+    timeBudgetMs: search.timeBudgetMs ?? settings.timeBudgetMs,
+    maxSamples: Math.min(settings.maxSamples ?? Infinity, search.maxSamples ?? Infinity),
+  };
+  return settings;
+}
+
+/**
+ * Ejecuta la simulación completa
+ * @param {Object} config - Configuración de parseOptions
+ * @returns {Object} Informe con los resultados de cada configuración
+ */
+function runSimulation(config) {
+  const tallies = {
+    a: createTally(config.ai.a, config.search),
+    b: createTally(config.ai.b, config.search),
+  };
+  const adaptiveTally = [tallies.a, tallies.b].find((tally) => tally.ai.adaptive) ?? null;
+  let rating = createRatingState();
+  let strengthSum = 0;
+  const [teamOne, teamTwo] = [
+    ...new Set(Object.values(GAME_MODES[config.rules.mode].teams)),
+  ];
+  let draws = 0;
+  let blocked = 0;
+  const start = performance.now();
+
+  for (let i = 0; i < config.games; i++) {
+    // Cada reparto se repite con los asientos cambiados
+    const handSeed = `${config.seed}-${Math.floor(i / 2)}`;
+    const swapped = i % 2 === 1;
+    const tallyByTeam = {
+      [teamOne]: swapped ? tallies.b : tallies.a,
+      [teamTwo]: swapped ? tallies.a : tallies.b,
+    };
+    const adaptive = adaptiveTally && applyAdaptiveSettings(adaptiveTally, rating, config.search);
+
+    const { winner, score, isBlocked } = playHand(config, handSeed, tallyByTeam);
+    if (adaptive) {
+      // Resultado desde el punto de vista del lado fijo (el "jugador")
+      const playerTally = adaptiveTally === tallies.a ? tallies.b : tallies.a;
+      const playerScore =
+        winner === "draw" ? 0.5 : tallyByTeam[winner] === playerTally ? 1 : 0;
+      strengthSum += rating.strength;
+      rating = recordHandResult(rating, {
+        score: playerScore,
+        aiRating: adaptive.aiRating,
+        hand: `${handSeed}:${swapped ? "b" : "a"}`,
+      });
+    }
+    if (isBlocked) blocked += 1;
+    if (winner === "draw") {
+      draws += 1;
+      continue;
+    }
+
+    const tally = tallyByTeam[winner];
+    tally.wins += 1;
+    tally.points += score;
+    if (isBlocked) tally.blockedWins += 1;
+  }
+
+  const summarize = (tally) => ({
+    difficulty: tally.difficulty,
+    wins: tally.wins,
+    winRate: round(tally.wins / config.games),
+    winRateCI95: wilsonInterval(tally.wins, config.games),
+    avgPointsPerHand: round(tally.points / config.games),
+    blockedWins: tally.blockedWins,
+    avgDecisionMs: round(tally.decisionMs / Math.max(1, tally.decisions)),
+  });
+
+  return {
+    config: {
+      a: config.a,
+      b: config.b,
+      games: config.games,
+      seed: config.seed,
+      rules: config.rules,
+      search: config.search,
+    },
+    results: {
+      a: summarize(tallies.a),
+      b: summarize(tallies.b),
+      draws,
+      blockRate: round(blocked / config.games),
+      adaptive: adaptiveTally && {
+        rating: rating.rating,
+        strength: round(rating.strength),
+        avgStrength: round(strengthSum / config.games),
+      },
+    },
+    elapsedMs: Math.round(performance.now() - start),
+  };
+}
+
+/**
+ * Da formato de texto legible al informe
+ * @param {Object} report - Informe de runSimulation
+ * @returns {string} Texto del informe
+ */
+function formatReport(report) {
+  const { config, results } = report;
+  const percent = (value) => `${(value * 100).toFixed(1)} %`;
+  const line = (label, r) =>
+    `  ${label} ${r.difficulty.padEnd(20)} ` +
+    `victorias ${percent(r.winRate)} [${percent(r.winRateCI95.low)} – ${percent(r.winRateCI95.high)}]  ` +
+    `puntos/mano ${r.avgPointsPerHand.toFixed(2)}  ` +
+    `decisión ${r.avgDecisionMs.toFixed(3)} ms`;
+
+  return [
+    `🎲 ${config.games} manos, semilla ${config.seed}, ${config.rules.mode}, doble ${config.rules.maxPip}, ${config.rules.drawRule}, ${config.rules.scoring}`,
+    line("A", results.a),
+    line("B", results.b),
+    `  Empates: ${results.draws}  Cierres: ${percent(results.blockRate)}  Tiempo: ${report.elapsedMs} ms`,
+    ...(results.adaptive
+      ? [
+          `  Adaptativa: rating final del jugador ${results.adaptive.rating}, ` +
+            `fuerza final ${results.adaptive.strength.toFixed(2)}, media ${results.adaptive.avgStrength.toFixed(2)}`,
+        ]
+      : []),
+  ].join("\n");
+}
+
+/**
+ * Punto de entrada de la línea de órdenes
+ */
+function main() {
+  let config;
+  try {
+    config = parseOptions(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}\n\n${HELP}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (config.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const report = runSimulation(config);
+  console.log(config.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+main();